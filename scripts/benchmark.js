@@ -0,0 +1,106 @@
+/**
+ * Elimination benchmark
+ * Compares the former one-reduction-per-question path against the
+ * single-pass [A | I] pipeline on the largest supported matrices.
+ *
+ * Run with: npm run bench
+ */
+
+import { Matrix, computeRREF } from '../src/utils/rrefCalculator.js';
+import { eliminate, clearEliminationCache } from '../src/utils/eliminationPipeline.js';
+import { MATRIX_LIMITS } from '../src/constants/index.js';
+
+const SIZE = MATRIX_LIMITS.MAX_DIMENSION;
+const RUNS = 5;
+
+/**
+ * Deterministic pseudo-random integers in [-9, 9]
+ */
+function generator(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return (state % 19) - 9;
+    };
+}
+
+function randomMatrix(rows, cols, seed) {
+    const next = generator(seed);
+    return Array(rows).fill(null).map(() => Array(cols).fill(null).map(next));
+}
+
+/**
+ * Rank-deficient matrix: every row a combination of the first `rank` rows
+ */
+function lowRankMatrix(size, rank, seed) {
+    const next = generator(seed);
+    const base = randomMatrix(rank, size, seed + 1);
+    return Array(size).fill(null).map((_, i) => {
+        if (i < rank) return base[i];
+        const weights = base.map(() => next());
+        return base[0].map((_, j) => base.reduce((sum, row, k) => sum + weights[k] * row[j], 0));
+    });
+}
+
+/**
+ * One reduction per question, as before the pipeline:
+ * RREF, column space, row space and null space each reduce A,
+ * the left null space reduces Aᵀ and the inverse reduces [A | I]
+ */
+function separateReductions(matrix) {
+    computeRREF(matrix, true);
+    computeRREF(matrix);
+    computeRREF(matrix);
+    computeRREF(matrix);
+    computeRREF(matrix.transpose());
+    if (matrix.rows === matrix.cols) {
+        const identity = Matrix.identity(matrix.rows);
+        const augmented = new Matrix(matrix.data.map((row, i) => [...row, ...identity.data[i]]));
+        computeRREF(augmented, true, { pivotColumns: matrix.cols });
+    }
+}
+
+/**
+ * Every question answered from one (possibly memoized) elimination
+ */
+function singlePass(matrix) {
+    const { rref, columnSpace, nullSpace, leftNullSpace, E } = eliminate(matrix, true);
+    return [rref, columnSpace, nullSpace, leftNullSpace, E];
+}
+
+function time(fn, before = () => {}) {
+    const samples = [];
+    for (let run = 0; run < RUNS; run++) {
+        before();
+        const start = performance.now();
+        fn();
+        samples.push(performance.now() - start);
+    }
+    samples.sort((a, b) => a - b);
+    return samples[Math.floor(RUNS / 2)];
+}
+
+const cases = [
+    { name: `${SIZE}×${SIZE} full rank`, data: randomMatrix(SIZE, SIZE, 1) },
+    { name: `${SIZE}×${SIZE} rank ${SIZE / 2}`, data: lowRankMatrix(SIZE, SIZE / 2, 2) },
+    { name: `${SIZE}×${SIZE - 4} tall`, data: randomMatrix(SIZE, SIZE - 4, 3) },
+    { name: `${SIZE - 4}×${SIZE} wide`, data: randomMatrix(SIZE - 4, SIZE, 4) }
+];
+
+const rows = cases.map(({ name, data }) => {
+    const matrix = new Matrix(data);
+    const separate = time(() => separateReductions(matrix));
+    const cold = time(() => singlePass(matrix), clearEliminationCache);
+    const warm = time(() => singlePass(matrix));
+
+    return {
+        matrix: name,
+        'separate (ms)': separate.toFixed(1),
+        'single pass (ms)': cold.toFixed(1),
+        'memoized (ms)': warm.toFixed(3),
+        speedup: `${(separate / cold).toFixed(1)}×`
+    };
+});
+
+console.log(`Median of ${RUNS} runs`);
+console.table(rows);
@@ -1,14 +1,19 @@
-import { useEffect, lazy, Suspense } from 'react';
+import { useState, useEffect, lazy, Suspense } from 'react';
 import { Routes, Route, Link, useLocation } from 'react-router-dom';
 import MatrixInput from './components/MatrixInput';
+import DataFitInput from './components/DataFitInput';
+import ExpressionInput from './components/ExpressionInput';
 import { ProtectedRoute } from './components/ProtectedRoute';
 import { useAuth, useMatrix, useSavedMatrices } from './hooks';
+import { MATRIX_LIMITS } from './constants';
 import './App.css';
 import './components/LoadingPlaceholder.css';
 import './components/HeaderResponsive.css';
 
 const ResultsDisplay = lazy(() => import('./components/ResultsDisplay'));
 const SavedMatricesPage = lazy(() => import('./components/SavedMatricesPage').then(module => ({ default: module.SavedMatricesPage })));
+const SubspaceComparePage = lazy(() => import('./components/SubspaceComparePage').then(module => ({ default: module.SubspaceComparePage })));
+const PracticePage = lazy(() => import('./components/PracticePage').then(module => ({ default: module.PracticePage })));
 
 function App() {
   const location = useLocation();
@@ -43,7 +48,9 @@ function App() {
     isLoading,
     error,
     examples,
+    progress,
     handleCompute,
+    cancelCompute,
   } = useMatrix();
 
   const {
@@ -63,6 +70,9 @@ function App() {
     clearSavedMatrices,
   } = useSavedMatrices(user, handleCompute);
 
+  // Grid contents, so expressions can refer to the current input as A
+  const [inputMatrix, setInputMatrix] = useState(null);
+
   // Fetch saved matrices when user logs in
   useEffect(() => {
     if (user) {
@@ -99,35 +109,53 @@ function App() {
         </div>
 
         <nav className="header-nav">
+          <Link
+            to="/"
+            className={`nav-link ${location.pathname === '/' ? 'active' : ''}`}
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <rect x="4" y="4" width="16" height="16" rx="2" ry="2" />
+              <line x1="9" y1="9" x2="15" y2="9" />
+              <line x1="9" y1="12" x2="15" y2="12" />
+              <line x1="9" y1="15" x2="15" y2="15" />
+            </svg>
+            Calculator
+          </Link>
+          <Link
+            to="/practice"
+            className={`nav-link ${location.pathname === '/practice' ? 'active' : ''}`}
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <path d="M12 20h9" />
+              <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z" />
+            </svg>
+            Practice
+          </Link>
+          <Link
+            to="/compare"
+            className={`nav-link ${location.pathname === '/compare' ? 'active' : ''}`}
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <circle cx="9" cy="12" r="6" />
+              <circle cx="15" cy="12" r="6" />
+            </svg>
+            Compare
+          </Link>
           {user && (
-            <>
-              <Link
-                to="/"
-                className={`nav-link ${location.pathname === '/' ? 'active' : ''}`}
-              >
-                <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                  <rect x="4" y="4" width="16" height="16" rx="2" ry="2" />
-                  <line x1="9" y1="9" x2="15" y2="9" />
-                  <line x1="9" y1="12" x2="15" y2="12" />
-                  <line x1="9" y1="15" x2="15" y2="15" />
-                </svg>
-                Calculator
-              </Link>
-              <Link
-                to="/saved"
-                className={`nav-link ${location.pathname === '/saved' ? 'active' : ''}`}
-              >
-                <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                  <path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z" />
-                  <polyline points="17 21 17 13 7 13 7 21" />
-                  <polyline points="7 3 7 8 15 8" />
-                </svg>
-                Saved
-                {savedMatrices.length > 0 && (
-                  <span className="nav-badge">{savedMatrices.length}</span>
-                )}
-              </Link>
-            </>
+            <Link
+              to="/saved"
+              className={`nav-link ${location.pathname === '/saved' ? 'active' : ''}`}
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z" />
+                <polyline points="17 21 17 13 7 13 7 21" />
+                <polyline points="7 3 7 8 15 8" />
+              </svg>
+              Saved
+              {savedMatrices.length > 0 && (
+                <span className="nav-badge">{savedMatrices.length}</span>
+              )}
+            </Link>
           )}
         </nav>
 
@@ -157,11 +185,24 @@ function App() {
           <main className="main-content">
             <section className="input-section">
               <h2>Enter Your Matrix</h2>
-              <p className="subtitle">Dimensions up to 5×5 • Supports fractions (1/2) and decimals</p>
+              <p className="subtitle">Dimensions up to {MATRIX_LIMITS.MAX_DIMENSION}×{MATRIX_LIMITS.MAX_DIMENSION} • Supports fractions (1/2, 1 1/2), decimals and repeating decimals (0.(3))</p>
               <MatrixInput
                 onCompute={handleCompute}
+                onCancel={cancelCompute}
                 isLoading={isLoading}
+                progress={progress}
                 examples={examples}
+                onMatrixChange={setInputMatrix}
+              />
+              <ExpressionInput
+                onCompute={handleCompute}
+                isLoading={isLoading}
+                currentMatrix={inputMatrix}
+                savedMatrices={savedMatrices}
+              />
+              <DataFitInput
+                onCompute={handleCompute}
+                isLoading={isLoading}
               />
             </section>
 
@@ -209,6 +250,21 @@ function App() {
             </Suspense>
           </ProtectedRoute>
         } />
+
+        <Route path="/practice" element={
+          <Suspense fallback={<div className="loading-placeholder">Loading practice...</div>}>
+            <PracticePage />
+          </Suspense>
+        } />
+
+        <Route path="/compare" element={
+          <Suspense fallback={<div className="loading-placeholder">Loading comparison...</div>}>
+            <SubspaceComparePage
+              currentMatrix={results?.matrix.exact ?? null}
+              savedMatrices={savedMatrices}
+            />
+          </Suspense>
+        } />
       </Routes>
 
       <footer className="app-footer">
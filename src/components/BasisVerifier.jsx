@@ -0,0 +1,129 @@
+import { useState, memo } from 'react';
+import LaTeXDisplay from './LaTeXDisplay';
+import { SUBSPACES, parseVectorList, verifyVectorSet } from '../utils/basisGrader';
+import { Fraction } from '../utils/fractionUtils';
+import { vectorToLatex } from '../utils/formatUtils';
+import './BasisVerifier.css';
+
+/**
+ * LaTeX for c₁v₁ + c₂v₂ + ⋯ = 0, skipping zero coefficients
+ */
+function dependencyLatex(coefficients) {
+    const terms = coefficients
+        .map((c, idx) => ({ c, idx }))
+        .filter(({ c }) => !c.isZero())
+        .map(({ c, idx }, position) => {
+            const magnitude = c.abs();
+            const coefficient = magnitude.equals(new Fraction(1)) ? '' : magnitude.toLatex();
+            const sign = c.sign() < 0 ? '-' : (position === 0 ? '' : '+');
+            return `${sign} ${coefficient} v_{${idx + 1}}`;
+        });
+    return `${terms.join(' ')} = 0`;
+}
+
+/**
+ * Checks pasted vectors against one of the four subspaces of the current
+ * matrix: membership, independence, spanning and so whether they form a basis
+ */
+const BasisVerifier = memo(({ results }) => {
+    const [key, setKey] = useState('column_space');
+    const [text, setText] = useState('');
+    const [report, setReport] = useState(null);
+    const [error, setError] = useState(null);
+
+    const subspace = SUBSPACES.find(option => option.key === key);
+    const size = subspace.size === 'rows' ? results.matrix.rows : results.matrix.cols;
+
+    const handleVerify = () => {
+        try {
+            const vectors = parseVectorList(text);
+            if (vectors.length === 0) {
+                throw new Error('Enter at least one vector');
+            }
+            setReport({ vectors, symbol: subspace.symbol, ...verifyVectorSet(results[key].exact, vectors, size) });
+            setError(null);
+        } catch (err) {
+            setReport(null);
+            setError(err.message);
+        }
+    };
+
+    const handleSubspace = (option) => {
+        setKey(option);
+        setReport(null);
+        setError(null);
+    };
+
+    return (
+        <div className="basis-verifier">
+            <p className="verifier-intro">
+                Paste vectors, one per line, to check them against a subspace of A.
+            </p>
+
+            <div className="verifier-subspaces">
+                {SUBSPACES.map(option => (
+                    <button
+                        key={option.key}
+                        className={`toggle-btn ${key === option.key ? 'active' : ''}`}
+                        onClick={() => handleSubspace(option.key)}
+                    >
+                        {option.symbol}
+                    </button>
+                ))}
+            </div>
+
+            <textarea
+                className="verifier-input"
+                rows={3}
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                placeholder={`${size} entries per vector, e.g. ${Array(size).fill(null).map((_, i) => i + 1).join(', ')}`}
+                aria-label="Vectors to check"
+                spellCheck={false}
+            />
+            <button className="verifier-check" onClick={handleVerify}>Check</button>
+
+            {error && <div className="verifier-verdict verifier-error">{error}</div>}
+
+            {report && (
+                <>
+                    <ul className="verifier-checks">
+                        <li className={report.inSubspace ? 'pass' : 'fail'}>
+                            {report.inSubspace
+                                ? `All vectors lie in ${report.symbol}`
+                                : <>
+                                    Vector {report.outside.map(idx => idx + 1).join(', ')} {report.outside.length === 1 ? 'is' : 'are'} not
+                                    in {report.symbol}, for example
+                                    <LaTeXDisplay latex={`v_{${report.outside[0] + 1}} = ${vectorToLatex(report.vectors[report.outside[0]])} \\notin ${report.symbol.replace('ᵀ', '^T')}`} />
+                                </>}
+                        </li>
+                        <li className={report.independent ? 'pass' : 'fail'}>
+                            {report.independent
+                                ? 'The vectors are linearly independent'
+                                : <>
+                                    The vectors are dependent (they span only {report.rank} dimension{report.rank === 1 ? '' : 's'}):
+                                    <LaTeXDisplay latex={dependencyLatex(report.dependency)} />
+                                </>}
+                        </li>
+                        <li className={report.spans ? 'pass' : 'fail'}>
+                            {report.spans
+                                ? `They span ${report.symbol} (dimension ${report.dimension})`
+                                : <>
+                                    They miss {report.missingDimension} of the {report.dimension} dimension{report.dimension === 1 ? '' : 's'} of {report.symbol};
+                                    this vector is in {report.symbol} but not in their span:
+                                    <LaTeXDisplay latex={vectorToLatex(report.missingVector)} />
+                                </>}
+                        </li>
+                    </ul>
+                    <div className={`verifier-verdict ${report.isBasis ? 'verifier-basis' : ''}`}>
+                        {report.isBasis ? `✓ A basis of ${report.symbol}` : `✗ Not a basis of ${report.symbol}`}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+});
+
+BasisVerifier.displayName = 'BasisVerifier';
+
+export default BasisVerifier;
@@ -0,0 +1,157 @@
+import { useState, useCallback } from 'react';
+import { parseMatrixCell } from '../utils/matrixUtils';
+import { buildDesignMatrix } from '../utils/leastSquares';
+import { MATRIX_LIMITS, DATA_FIT_LIMITS } from '../constants';
+import './DataFitInput.css';
+
+const FIT_DEGREES = [
+    { degree: 1, label: 'Line (y = c₀ + c₁x)' },
+    { degree: 2, label: 'Quadratic' },
+    { degree: 3, label: 'Cubic' }
+];
+
+const DEFAULT_POINTS = [['', ''], ['', ''], ['', '']];
+
+/**
+ * Data point input for least-squares fits
+ * Builds the design matrix A and right-hand side y, then solves Ax = y
+ */
+const DataFitInput = ({ onCompute, isLoading }) => {
+    const [expanded, setExpanded] = useState(false);
+    const [points, setPoints] = useState(DEFAULT_POINTS);
+    const [degree, setDegree] = useState(1);
+    const [error, setError] = useState(null);
+
+    const degrees = FIT_DEGREES.filter(option => option.degree + 1 <= MATRIX_LIMITS.MAX_DIMENSION);
+
+    const handlePointChange = useCallback((i, j, value) => {
+        setPoints(prev => prev.map((point, pi) =>
+            point.map((cell, ci) => (pi === i && ci === j) ? value : cell)
+        ));
+    }, []);
+
+    const addPoint = useCallback(() => {
+        setPoints(prev => prev.length < DATA_FIT_LIMITS.MAX_POINTS ? [...prev, ['', '']] : prev);
+    }, []);
+
+    const removePoint = useCallback((index) => {
+        setPoints(prev => prev.length > 1 ? prev.filter((_, i) => i !== index) : prev);
+    }, []);
+
+    const handleFit = useCallback(async () => {
+        try {
+            // Blank rows are skipped; every other point needs a valid x and y,
+            // named by its row in the list
+            points.forEach((point, i) => {
+                if (point.every(cell => cell.trim() === '')) return;
+                if (point.some(cell => cell.trim() === '')) {
+                    throw new Error(`Point ${i + 1}: enter both x and y`);
+                }
+                point.forEach((cell, j) => {
+                    try {
+                        parseMatrixCell(cell);
+                    } catch (err) {
+                        throw new Error(`Point ${i + 1}, ${j === 0 ? 'x' : 'y'}: ${err.message}`);
+                    }
+                });
+            });
+            const filled = points.filter(point => point.some(cell => cell.trim() !== ''));
+
+            const { matrix, rhs } = buildDesignMatrix(filled, degree);
+            setError(null);
+
+            const result = await onCompute(matrix, { rhs, fit: { degree } });
+            if (result) {
+                setTimeout(() => {
+                    document.querySelector('.least-squares-section')?.scrollIntoView({ behavior: 'smooth' });
+                }, 400);
+            }
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [points, degree, onCompute]);
+
+    return (
+        <div className="data-fit-container">
+            <button
+                className="data-fit-toggle"
+                onClick={() => setExpanded(!expanded)}
+                aria-expanded={expanded}
+            >
+                {expanded ? '▾' : '▸'} Fit data points (least squares)
+            </button>
+
+            {expanded && (
+                <div className="data-fit-body">
+                    <div className="data-fit-controls">
+                        <label>
+                            Fit:
+                            <select
+                                value={degree}
+                                onChange={(e) => setDegree(parseInt(e.target.value))}
+                                disabled={isLoading}
+                            >
+                                {degrees.map(option => (
+                                    <option key={option.degree} value={option.degree}>{option.label}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <span className="data-fit-hint">Up to {DATA_FIT_LIMITS.MAX_POINTS} points</span>
+                    </div>
+
+                    <div className="data-fit-points">
+                        <div className="data-fit-header">
+                            <span>x</span>
+                            <span>y</span>
+                        </div>
+                        {points.map((point, i) => (
+                            <div key={i} className="data-fit-row">
+                                {point.map((cell, j) => (
+                                    <input
+                                        key={j}
+                                        type="text"
+                                        className="matrix-cell"
+                                        value={cell}
+                                        onChange={(e) => handlePointChange(i, j, e.target.value)}
+                                        placeholder="0"
+                                        aria-label={`Point ${i + 1} ${j === 0 ? 'x' : 'y'}`}
+                                        disabled={isLoading}
+                                    />
+                                ))}
+                                <button
+                                    className="data-fit-remove"
+                                    onClick={() => removePoint(i)}
+                                    disabled={isLoading || points.length === 1}
+                                    aria-label={`Remove point ${i + 1}`}
+                                >
+                                    ×
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+
+                    {error && <p className="data-fit-error">{error}</p>}
+
+                    <div className="matrix-actions">
+                        <button
+                            className="btn btn-primary"
+                            onClick={handleFit}
+                            disabled={isLoading}
+                        >
+                            Fit Curve
+                        </button>
+                        <button
+                            className="btn btn-secondary"
+                            onClick={addPoint}
+                            disabled={isLoading || points.length >= DATA_FIT_LIMITS.MAX_POINTS}
+                        >
+                            Add Point
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DataFitInput;
@@ -0,0 +1,103 @@
+import { memo } from 'react';
+import LaTeXDisplay from './LaTeXDisplay';
+import RowOperationsDisplay from './RowOperationsDisplay';
+import './DeterminantInverse.css';
+
+/**
+ * Displays the determinant and inverse of a square matrix
+ * Both come from Gauss–Jordan elimination on [A | I]
+ */
+const DeterminantInverse = memo(({ determinant, inverse, size }) => {
+    if (!determinant || !inverse) return null;
+
+    const scrollToNullSpace = () => {
+        const nullSpaceCard = document.getElementById('null-space');
+        if (nullSpaceCard) {
+            nullSpaceCard.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    };
+
+    return (
+        <div className="determinant-section">
+            <h3>Determinant &amp; Inverse</h3>
+
+            <div className="determinant-overview">
+                <div className={`info-card ${determinant.singular ? '' : 'highlight'}`}>
+                    <span className="info-label">Determinant</span>
+                    <LaTeXDisplay latex={`\\det(A) = ${determinant.latex}`} />
+                </div>
+            </div>
+
+            {determinant.steps.length > 0 && (
+                <div className="determinant-steps">
+                    <h4>How each row operation changes the determinant</h4>
+                    <table className="determinant-table">
+                        <thead>
+                            <tr>
+                                <th>Step</th>
+                                <th>Operation</th>
+                                <th>det multiplied by</th>
+                                <th>det of left block</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {determinant.steps.map((step, idx) => (
+                                <tr key={idx}>
+                                    <td>{idx + 1}</td>
+                                    <td><LaTeXDisplay latex={step.notation} /></td>
+                                    <td>
+                                        <LaTeXDisplay latex={step.factor_latex} />
+                                        <span className="factor-reason">
+                                            {step.type === 'swap' && 'swap flips the sign'}
+                                            {step.type === 'scale' && 'scaling multiplies by the factor'}
+                                            {step.type === 'add' && 'row addition leaves it unchanged'}
+                                            {step.type === 'combine' && 'scaling the target row multiplies by the factor'}
+                                        </span>
+                                    </td>
+                                    <td><LaTeXDisplay latex={step.determinant_latex} /></td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {!determinant.singular && (
+                        <p className="determinant-note">
+                            The left block ends as I with determinant 1, so det(A) is 1 divided by the product of all factors.
+                        </p>
+                    )}
+                </div>
+            )}
+
+            {inverse.singular ? (
+                <div className="singular-notice">
+                    <p>
+                        <strong>A is singular</strong> — elimination leaves fewer than {size} pivots, so det(A) = 0 and A<sup>-1</sup> does not exist.
+                    </p>
+                    <p>
+                        Every nonzero vector in the null space satisfies Ax = 0.{' '}
+                        <button type="button" className="link-button" onClick={scrollToNullSpace}>
+                            View the null space N(A) →
+                        </button>
+                    </p>
+                </div>
+            ) : (
+                <div className="inverse-display">
+                    <span className="info-label">Inverse</span>
+                    <LaTeXDisplay latex={`A^{-1} = ${inverse.latex}`} />
+                </div>
+            )}
+
+            {inverse.operations && (
+                <RowOperationsDisplay
+                    operations={inverse.operations}
+                    augmentAt={size}
+                    title="Gauss–Jordan on [A | I]"
+                    strategy={inverse.strategy}
+                />
+            )}
+        </div>
+    );
+});
+
+DeterminantInverse.displayName = 'DeterminantInverse';
+
+export default DeterminantInverse;
@@ -0,0 +1,77 @@
+import { memo } from 'react';
+import LaTeXDisplay from './LaTeXDisplay';
+import './EigenAnalysis.css';
+
+/**
+ * Displays eigenvalues, multiplicities and eigenspaces of a square matrix
+ * Rational eigenvalues are exact; irrational and complex ones are approximate
+ */
+const EigenAnalysis = memo(({ eigen }) => {
+    if (!eigen) return null;
+
+    const { diagonalizable } = eigen;
+    let verdict;
+    if (diagonalizable.real) {
+        verdict = 'A is diagonalizable: every eigenvalue is real and each geometric multiplicity equals its algebraic multiplicity.';
+    } else if (diagonalizable.complex) {
+        verdict = 'A is diagonalizable over ℂ but not over ℝ: some eigenvalues are complex.';
+    } else {
+        verdict = 'A is not diagonalizable: some eigenvalue has fewer independent eigenvectors than its algebraic multiplicity.';
+    }
+
+    return (
+        <div className="eigen-section">
+            <h3>Eigenvalues &amp; Eigenspaces</h3>
+
+            <div className="eigen-polynomial">
+                <span className="eigen-label">Characteristic polynomial</span>
+                <LaTeXDisplay latex={`p(\\lambda) = \\det(\\lambda I - A) = ${eigen.characteristic_polynomial}`} />
+            </div>
+
+            <div className="eigen-table-wrapper">
+                <table className="eigen-table">
+                    <thead>
+                        <tr>
+                            <th>Eigenvalue</th>
+                            <th>Algebraic</th>
+                            <th>Geometric</th>
+                            <th>Eigenspace basis</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {eigen.eigenvalues.map((ev, idx) => (
+                            <tr key={idx} className={ev.geometric !== null && ev.geometric < ev.algebraic ? 'defective' : ''}>
+                                <td>
+                                    <LaTeXDisplay latex={`\\lambda_{${idx + 1}} ${ev.exact ? '=' : '\\approx'} ${ev.latex}`} />
+                                </td>
+                                <td>{ev.algebraic}</td>
+                                <td>{ev.geometric ?? '—'}</td>
+                                <td>
+                                    {ev.eigenspace ? (
+                                        <div className="eigen-vectors">
+                                            {ev.eigenspace.latex.map((vec, vIdx) => (
+                                                <LaTeXDisplay key={vIdx} latex={vec} />
+                                            ))}
+                                        </div>
+                                    ) : (
+                                        <span className="eigen-note">
+                                            {ev.imaginary !== 0 ? 'Complex eigenvalue' : 'Irrational eigenvalue'} — approximated numerically
+                                        </span>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className={`eigen-verdict ${diagonalizable.real ? 'diagonalizable' : ''}`}>
+                {verdict}
+            </div>
+        </div>
+    );
+});
+
+EigenAnalysis.displayName = 'EigenAnalysis';
+
+export default EigenAnalysis;
@@ -0,0 +1,124 @@
+import { useState, useCallback, useMemo } from 'react';
+import LaTeXDisplay from './LaTeXDisplay';
+import { normalizeMatrix } from '../utils/matrixUtils';
+import { evaluateExpression } from '../utils/expressionEvaluator';
+import './ExpressionInput.css';
+
+// The matrix in the grid above is always called A
+const CURRENT_NAME = 'A';
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Expression bar: evaluates expressions like A*B^T + 2*I over the current
+ * input and saved matrices, then computes the subspaces of the result
+ */
+const ExpressionInput = ({ onCompute, isLoading, currentMatrix, savedMatrices = [] }) => {
+    const [expanded, setExpanded] = useState(false);
+    const [expression, setExpression] = useState('');
+    const [error, setError] = useState(null);
+    const [evaluated, setEvaluated] = useState(null);
+
+    // Saved matrices keep their names; the current input takes precedence for A
+    const names = useMemo(() => {
+        const entries = {};
+        if (currentMatrix) {
+            try {
+                entries[CURRENT_NAME] = normalizeMatrix(currentMatrix);
+            } catch {
+                // A is left out until the grid holds valid numbers
+            }
+        }
+        savedMatrices.forEach(saved => {
+            if (!(saved.name in entries) && saved.data) {
+                entries[saved.name] = saved.data;
+            }
+        });
+        return entries;
+    }, [currentMatrix, savedMatrices]);
+
+    const handleEvaluate = useCallback(async () => {
+        try {
+            const result = evaluateExpression(expression, names);
+            setError(null);
+            setEvaluated({ expression, latex: result.toLatex() });
+
+            const computed = await onCompute(result.toStringArray());
+            if (computed) {
+                setTimeout(() => {
+                    document.querySelector('.results-container')?.scrollIntoView({ behavior: 'smooth' });
+                }, 400);
+            }
+        } catch (err) {
+            setEvaluated(null);
+            setError({ message: err.message, position: err.position ?? null, expression });
+        }
+    }, [expression, names, onCompute]);
+
+    const nameList = Object.keys(names).map(name => (IDENTIFIER.test(name) ? name : `"${name}"`));
+
+    return (
+        <div className="expression-container">
+            <button
+                className="expression-toggle"
+                onClick={() => setExpanded(!expanded)}
+                aria-expanded={expanded}
+            >
+                {expanded ? '▾' : '▸'} Evaluate an expression
+            </button>
+
+            {expanded && (
+                <div className="expression-body">
+                    <p className="expression-hint">
+                        Combine matrices with + − * /, powers (A^3, A^-1, A^T), transpose(), rref(), inv() and I.
+                        {' '}A is the matrix above{nameList.length > 1 ? '; saved matrices go by name, in quotes when the name has spaces' : ''}.
+                    </p>
+                    <p className="expression-hint">
+                        Available: {nameList.length > 0 ? nameList.join(', ') : 'none yet (fill in the grid above)'}
+                    </p>
+
+                    <form
+                        className="expression-form"
+                        onSubmit={(e) => {
+                            e.preventDefault();
+                            handleEvaluate();
+                        }}
+                    >
+                        <input
+                            type="text"
+                            className="expression-field"
+                            value={expression}
+                            onChange={(e) => setExpression(e.target.value)}
+                            placeholder="A*A^T + 2*I"
+                            aria-label="Matrix expression"
+                            spellCheck={false}
+                            disabled={isLoading}
+                        />
+                        <button type="submit" className="btn btn-primary" disabled={isLoading}>
+                            Evaluate
+                        </button>
+                    </form>
+
+                    {error && (
+                        <div className="expression-error">
+                            {error.position !== null && (
+                                <pre className="expression-caret">
+                                    {error.expression}{'\n'}{' '.repeat(error.position)}^
+                                </pre>
+                            )}
+                            <p>{error.message}</p>
+                        </div>
+                    )}
+
+                    {evaluated && (
+                        <div className="expression-result">
+                            <code>{evaluated.expression}</code>
+                            <LaTeXDisplay latex={`= ${evaluated.latex}`} />
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ExpressionInput;
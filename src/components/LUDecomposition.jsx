@@ -0,0 +1,65 @@
+import { memo, useState } from 'react';
+import LaTeXDisplay from './LaTeXDisplay';
+import './LUDecomposition.css';
+
+/**
+ * Displays PA = LU and PA = LDU built from the recorded row operations
+ */
+const LUDecomposition = memo(({ lu }) => {
+    const [form, setForm] = useState('lu'); // 'lu' or 'ldu'
+
+    if (!lu) return null;
+
+    return (
+        <div className="lu-section">
+            <h3>LU Factorization</h3>
+
+            <div className="lu-toggle">
+                <button
+                    className={`toggle-btn ${form === 'lu' ? 'active' : ''}`}
+                    onClick={() => setForm('lu')}
+                >
+                    PA = LU
+                </button>
+                <button
+                    className={`toggle-btn ${form === 'ldu' ? 'active' : ''}`}
+                    onClick={() => setForm('ldu')}
+                >
+                    PA = LDU
+                </button>
+            </div>
+
+            <div className="lu-factors">
+                <div className="lu-factor">
+                    <span className="lu-label">Permutation ({lu.swaps} {lu.swaps === 1 ? 'swap' : 'swaps'})</span>
+                    <LaTeXDisplay latex={`P = ${lu.P}`} />
+                </div>
+                <div className="lu-factor">
+                    <span className="lu-label">Lower triangular (multipliers)</span>
+                    <LaTeXDisplay latex={`L = ${lu.L}`} />
+                </div>
+                {form === 'ldu' && (
+                    <div className="lu-factor">
+                        <span className="lu-label">Pivots</span>
+                        <LaTeXDisplay latex={`D = ${lu.D}`} />
+                    </div>
+                )}
+                <div className="lu-factor">
+                    <span className="lu-label">
+                        {form === 'lu' ? 'Echelon form' : 'Echelon form with unit pivots'}
+                    </span>
+                    <LaTeXDisplay latex={`U = ${form === 'lu' ? lu.U : lu.unit_U}`} />
+                </div>
+            </div>
+
+            <div className={`lu-check ${lu.verified ? 'verified' : 'failed'}`}>
+                <LaTeXDisplay latex={`${form === 'lu' ? 'LU' : 'LDU'} = PA = ${lu.PA}`} />
+                <span>{lu.verified ? '✓ Product verified' : '✗ Product does not match PA'}</span>
+            </div>
+        </div>
+    );
+});
+
+LUDecomposition.displayName = 'LUDecomposition';
+
+export default LUDecomposition;
@@ -0,0 +1,27 @@
+import { useEffect, useRef } from 'react';
+import katex from 'katex';
+import 'katex/dist/katex.min.css';
+
+/**
+ * Renders a LaTeX string with KaTeX in display mode
+ */
+const LaTeXDisplay = ({ latex }) => {
+    const containerRef = useRef(null);
+
+    useEffect(() => {
+        if (containerRef.current && latex) {
+            try {
+                katex.render(latex, containerRef.current, {
+                    throwOnError: false,
+                    displayMode: true,
+                });
+            } catch (e) {
+                containerRef.current.textContent = latex;
+            }
+        }
+    }, [latex]);
+
+    return <div ref={containerRef} className="latex-display"></div>;
+};
+
+export default LaTeXDisplay;
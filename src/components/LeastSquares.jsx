@@ -0,0 +1,72 @@
+import { memo } from 'react';
+import LaTeXDisplay from './LaTeXDisplay';
+import './LeastSquares.css';
+
+/**
+ * Displays the least-squares solution of Ax = b from the normal equations
+ * and checks that the residual lies in the left null space
+ */
+const LeastSquares = memo(({ leastSquares }) => {
+    if (!leastSquares) return null;
+
+    const { fit } = leastSquares;
+
+    return (
+        <div className="least-squares-section">
+            <h3>{fit ? 'Least-Squares Fit' : 'Least-Squares Solution'}</h3>
+
+            {fit && (
+                <div className="least-squares-fit">
+                    <span className="least-squares-label">Best-fit {fit.degree === 1 ? 'line' : 'polynomial'}</span>
+                    <LaTeXDisplay latex={fit.latex} />
+                    {!leastSquares.unique && (
+                        <p className="least-squares-note">
+                            Not enough distinct x values: other coefficient choices fit equally well.
+                        </p>
+                    )}
+                </div>
+            )}
+
+            <div className="least-squares-blocks">
+                <div className="least-squares-block">
+                    <span className="least-squares-label">Normal equations</span>
+                    <LaTeXDisplay
+                        latex={`A^TA\\,\\hat{\\mathbf{x}} = A^T\\mathbf{b} \\quad ${leastSquares.normal_matrix_latex}\\hat{\\mathbf{x}} = ${leastSquares.normal_rhs_latex}`}
+                    />
+                </div>
+                <div className="least-squares-block">
+                    <span className="least-squares-label">
+                        {leastSquares.unique ? 'Least-squares solution' : 'Least-squares solutions (free variables = 0, plus N(A))'}
+                    </span>
+                    <LaTeXDisplay latex={`\\hat{\\mathbf{x}} = ${leastSquares.solution.latex}`} />
+                    {leastSquares.general_latex && <LaTeXDisplay latex={leastSquares.general_latex} />}
+                </div>
+            </div>
+
+            <div className="least-squares-blocks">
+                <div className="least-squares-block">
+                    <span className="least-squares-label">Projection onto C(A)</span>
+                    <LaTeXDisplay latex={`\\mathbf{p} = A\\hat{\\mathbf{x}} = ${leastSquares.projection_latex}`} />
+                </div>
+                <div className="least-squares-block">
+                    <span className="least-squares-label">Residual</span>
+                    <LaTeXDisplay latex={`\\mathbf{e} = \\mathbf{b} - \\mathbf{p} = ${leastSquares.residual_latex}`} />
+                    <LaTeXDisplay latex={`\\lVert \\mathbf{e} \\rVert^2 = ${leastSquares.residual_norm_squared_latex}`} />
+                </div>
+            </div>
+
+            <div className={`least-squares-check ${leastSquares.in_left_null_space ? 'verified' : 'failed'}`}>
+                <LaTeXDisplay latex={`A^T\\mathbf{e} = ${leastSquares.transpose_residual_latex}`} />
+                <span>
+                    {leastSquares.in_left_null_space
+                        ? '✓ e lies in the left null space N(Aᵀ), orthogonal to every column of A'
+                        : '✗ e is not in the left null space N(Aᵀ)'}
+                </span>
+            </div>
+        </div>
+    );
+});
+
+LeastSquares.displayName = 'LeastSquares';
+
+export default LeastSquares;
@@ -0,0 +1,171 @@
+import { useState, useMemo, memo } from 'react';
+import LaTeXDisplay from './LaTeXDisplay';
+import { Matrix, DEFAULT_PIVOT_STRATEGY } from '../utils/rrefCalculator';
+import { applyRowOperation, isRREF, suggestNextStep, automaticStepCount, minimumStepBound, hintStrategy } from '../utils/manualReduction';
+import './ManualReduction.css';
+
+const OPERATION_TYPES = [
+    { id: 'swap', label: 'Swap' },
+    { id: 'scale', label: 'Scale' },
+    { id: 'add', label: 'Row add' }
+];
+
+/**
+ * Lets students row-reduce the matrix themselves, one elementary operation
+ * at a time, with undo, hints from the automatic reduction and a step comparison
+ */
+const ManualReduction = memo(({ matrix, strategy = DEFAULT_PIVOT_STRATEGY }) => {
+    const start = useMemo(() => new Matrix(matrix), [matrix]);
+    const [history, setHistory] = useState([]);
+    const [type, setType] = useState('add');
+    const [firstRow, setFirstRow] = useState(Math.min(1, start.rows - 1));
+    const [secondRow, setSecondRow] = useState(0);
+    const [scalar, setScalar] = useState('');
+    const [error, setError] = useState(null);
+    const [hint, setHint] = useState(null);
+
+    const current = history.length > 0 ? history[history.length - 1].matrixAfter : start;
+    const done = isRREF(current);
+    const automaticSteps = useMemo(() => automaticStepCount(start, strategy), [start, strategy]);
+    const minimumSteps = useMemo(() => minimumStepBound(start), [start]);
+    const automaticLabel = hintStrategy(strategy).label.toLowerCase();
+    const rowOptions = Array(start.rows).fill(null).map((_, i) => i);
+
+    const apply = (operation) => {
+        try {
+            const { operation: recorded } = applyRowOperation(current, operation);
+            setHistory(prev => [...prev, recorded]);
+            setError(null);
+            setHint(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleApply = () => {
+        if (type === 'swap') {
+            apply({ type, row1: firstRow, row2: secondRow });
+            return;
+        }
+        if (scalar.trim() === '') {
+            setError('Enter a scalar');
+            return;
+        }
+        if (type === 'scale') {
+            apply({ type, row: firstRow, scalar: scalar.trim() });
+        } else {
+            apply({ type, targetRow: firstRow, sourceRow: secondRow, scalar: scalar.trim() });
+        }
+    };
+
+    const handleUndo = () => {
+        setHistory(prev => prev.slice(0, -1));
+        setError(null);
+        setHint(null);
+    };
+
+    const handleReset = () => {
+        setHistory([]);
+        setError(null);
+        setHint(null);
+    };
+
+    const rowSelect = (value, onChange, label) => (
+        <select value={value} onChange={(e) => onChange(Number(e.target.value))} aria-label={label}>
+            {rowOptions.map(row => (
+                <option key={row} value={row}>row {row + 1}</option>
+            ))}
+        </select>
+    );
+
+    const scalarInput = (
+        <input
+            type="text"
+            className="manual-scalar"
+            value={scalar}
+            onChange={(e) => setScalar(e.target.value)}
+            placeholder="e.g. -1/2"
+            aria-label="Scalar"
+        />
+    );
+
+    return (
+        <div className="manual-reduction">
+            <p className="manual-intro">
+                Reduce A to RREF yourself with elementary row operations.
+            </p>
+
+            <LaTeXDisplay latex={current.toLatex()} />
+
+            {done ? (
+                <div className="manual-status manual-done">
+                    ✓ RREF reached in {history.length} step{history.length === 1 ? '' : 's'}
+                    {history.length === minimumSteps
+                        ? ', the fewest possible'
+                        : ` (no path takes fewer than ${minimumSteps})`}
+                    . The automatic reduction with {automaticLabel} took {automaticSteps}
+                    {history.length < automaticSteps && '; you found a shorter path'}
+                    {history.length > automaticSteps && `; you took ${history.length - automaticSteps} more`}.
+                </div>
+            ) : (
+                <div className="manual-controls">
+                    <div className="manual-types">
+                        {OPERATION_TYPES.map(option => (
+                            <button
+                                key={option.id}
+                                className={`toggle-btn ${type === option.id ? 'active' : ''}`}
+                                onClick={() => setType(option.id)}
+                            >
+                                {option.label}
+                            </button>
+                        ))}
+                    </div>
+
+                    <div className="manual-operation">
+                        {type === 'swap' && (
+                            <>Swap {rowSelect(firstRow, setFirstRow, 'First row')} and {rowSelect(secondRow, setSecondRow, 'Second row')}</>
+                        )}
+                        {type === 'scale' && (
+                            <>Multiply {rowSelect(firstRow, setFirstRow, 'Row')} by {scalarInput}</>
+                        )}
+                        {type === 'add' && (
+                            <>Add {scalarInput} × {rowSelect(secondRow, setSecondRow, 'Source row')} to {rowSelect(firstRow, setFirstRow, 'Target row')}</>
+                        )}
+                        <button className="manual-apply" onClick={handleApply}>Apply</button>
+                    </div>
+                </div>
+            )}
+
+            {error && <div className="manual-status manual-error">{error}</div>}
+
+            {hint && (
+                <div className="manual-status manual-hint">
+                    <span>Next step of the automatic reduction ({automaticLabel}):</span>
+                    <LaTeXDisplay latex={hint.notation} />
+                    <span>{hint.description.replace(/\\frac\{([^}]+)\}\{([^}]+)\}/g, '$1/$2')}</span>
+                </div>
+            )}
+
+            <div className="manual-actions">
+                <span className="manual-count">Steps: {history.length}</span>
+                <button onClick={handleUndo} disabled={history.length === 0}>Undo</button>
+                <button onClick={() => setHint(suggestNextStep(current, strategy))} disabled={done}>Hint</button>
+                <button onClick={handleReset} disabled={history.length === 0}>Reset</button>
+            </div>
+
+            {history.length > 0 && (
+                <ol className="manual-history">
+                    {history.map((step, idx) => (
+                        <li key={idx}>
+                            <LaTeXDisplay latex={step.notation} />
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+});
+
+ManualReduction.displayName = 'ManualReduction';
+
+export default ManualReduction;
@@ -1,12 +1,19 @@
 import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
-import { parseMatrix, validateDimensions, createEmptyMatrix, resizeMatrix } from '../utils/matrixUtils';
-import { MATRIX_LIMITS } from '../constants';
+import { normalizeMatrix, validateDimensions, createEmptyMatrix, resizeMatrix, resizeVector } from '../utils/matrixUtils';
+import { MATRIX_LIMITS, UI_CONFIG } from '../constants';
+import { PIVOT_STRATEGIES, DEFAULT_PIVOT_STRATEGY } from '../utils/rrefCalculator';
+import { findParameter } from '../utils/parametricMatrix';
 import './MatrixInput.css';
 
 /**
  * Matrix input component with dynamic grid and dimension controls
+ * In augmented mode a right-hand side column b is entered behind a divider
+ * Large grids scroll inside the container and can be zoomed out
+ * The pivoting strategy chooses how the row reduction picks its pivots, and
+ * two-phase mode stops at the echelon form (REF) before reducing to RREF
+ * onMatrixChange receives the grid's strings whenever they change
  */
-const MatrixInput = ({ onCompute, isLoading, examples, initialMatrix }) => {
+const MatrixInput = ({ onCompute, onCancel, isLoading, progress, examples, initialMatrix, onMatrixChange }) => {
     const [rows, setRows] = useState(MATRIX_LIMITS.DEFAULT_ROWS);
     const [cols, setCols] = useState(MATRIX_LIMITS.DEFAULT_COLS);
     const [rowsInput, setRowsInput] = useState(String(MATRIX_LIMITS.DEFAULT_ROWS));
@@ -16,7 +23,12 @@ const MatrixInput = ({ onCompute, isLoading, examples, initialMatrix }) => {
             Array(MATRIX_LIMITS.DEFAULT_COLS).fill('')
         )
     );
+    const [augmented, setAugmented] = useState(false);
+    const [strategy, setStrategy] = useState(DEFAULT_PIVOT_STRATEGY);
+    const [twoPhase, setTwoPhase] = useState(false);
+    const [rhs, setRhs] = useState(Array(MATRIX_LIMITS.DEFAULT_ROWS).fill(''));
     const [computeSuccess, setComputeSuccess] = useState(false);
+    const [zoom, setZoom] = useState(1);
     const computeButtonRef = useRef(null);
 
     useEffect(() => {
@@ -28,9 +40,15 @@ const MatrixInput = ({ onCompute, isLoading, examples, initialMatrix }) => {
             setRowsInput(String(initRows));
             setColsInput(String(initCols));
             setMatrix(initialMatrix.map(row => row.map(v => String(v))));
+            setRhs(prev => resizeVector(prev, initRows));
         }
     }, [initialMatrix]);
 
+    // Let the parent follow the grid, e.g. for the expression bar
+    useEffect(() => {
+        onMatrixChange?.(matrix);
+    }, [matrix, onMatrixChange]);
+
     // Reset success state when loading completes
     useEffect(() => {
         if (!isLoading && computeSuccess) {
@@ -57,6 +75,7 @@ const MatrixInput = ({ onCompute, isLoading, examples, initialMatrix }) => {
             const resized = resizeMatrix(prev, validated.rows, validated.cols);
             return resized;
         });
+        setRhs(prev => resizeVector(prev, validated.rows));
     }, []);
 
     const handleRowsInputChange = useCallback((value) => {
@@ -83,9 +102,19 @@ const MatrixInput = ({ onCompute, isLoading, examples, initialMatrix }) => {
         ));
     }, []);
 
+    const handleRhsChange = useCallback((i, value) => {
+        setRhs(prev => prev.map((cell, ri) => ri === i ? value : cell));
+    }, []);
+
     const handleSubmit = useCallback(async () => {
         try {
-            const numericMatrix = parseMatrix(matrix);
+            // Entries with a parameter are parsed in the worker with the case analysis
+            const exactMatrix = findParameter(matrix)
+                ? matrix.map(row => row.map(cell => cell.trim()))
+                : normalizeMatrix(matrix);
+            const options = augmented
+                ? { strategy, twoPhase, rhs: normalizeMatrix(rhs.map(cell => [cell])).map(row => row[0]) }
+                : { strategy, twoPhase };
             setComputeSuccess(false);
 
             // Add button press animation
@@ -97,7 +126,7 @@ const MatrixInput = ({ onCompute, isLoading, examples, initialMatrix }) => {
             }
 
             // Await computation
-            const result = await onCompute(numericMatrix);
+            const result = await onCompute(exactMatrix, options);
 
             // Show success state if computation succeeded
             if (result) {
@@ -120,7 +149,7 @@ const MatrixInput = ({ onCompute, isLoading, examples, initialMatrix }) => {
         } catch (error) {
             alert(error.message);
         }
-    }, [matrix, onCompute]);
+    }, [matrix, rhs, augmented, strategy, twoPhase, onCompute]);
 
     const loadExample = useCallback((example) => {
         const exampleMatrix = example.matrix;
@@ -132,16 +161,19 @@ const MatrixInput = ({ onCompute, isLoading, examples, initialMatrix }) => {
         setRowsInput(String(exampleRows));
         setColsInput(String(exampleCols));
         setMatrix(exampleMatrix.map(row => row.map(v => String(v))));
+        setRhs(prev => resizeVector(prev, exampleRows));
     }, []);
 
     const clearMatrix = useCallback(() => {
         setMatrix(Array(rows).fill(null).map(() => Array(cols).fill('')));
+        setRhs(Array(rows).fill(''));
     }, [rows, cols]);
 
     const fillZeros = useCallback(() => {
         setMatrix(prev => prev.map(row =>
             row.map(cell => cell.trim() === '' ? '0' : cell)
         ));
+        setRhs(prev => prev.map(cell => cell.trim() === '' ? '0' : cell));
     }, []);
 
     const gridStyle = useMemo(() => ({
@@ -149,6 +181,12 @@ const MatrixInput = ({ onCompute, isLoading, examples, initialMatrix }) => {
         gridTemplateRows: `repeat(${rows}, 1fr)`,
     }), [rows, cols]);
 
+    const isLargeGrid = rows > UI_CONFIG.LARGE_GRID_THRESHOLD || cols > UI_CONFIG.LARGE_GRID_THRESHOLD;
+
+    const rhsGridStyle = useMemo(() => ({
+        gridTemplateRows: `repeat(${rows}, 1fr)`,
+    }), [rows]);
+
     return (
         <div className="matrix-input-container">
             <div className="matrix-controls">
@@ -185,6 +223,41 @@ const MatrixInput = ({ onCompute, isLoading, examples, initialMatrix }) => {
                     </label>
                 </div>
 
+                <label className="augment-toggle">
+                    <input
+                        type="checkbox"
+                        checked={augmented}
+                        onChange={(e) => setAugmented(e.target.checked)}
+                        disabled={isLoading}
+                    />
+                    Augmented [A | b]
+                </label>
+
+                <label className="strategy-select">
+                    Pivoting:
+                    <select
+                        value={strategy}
+                        onChange={(e) => setStrategy(e.target.value)}
+                        disabled={isLoading}
+                    >
+                        {PIVOT_STRATEGIES.map(option => (
+                            <option key={option.id} value={option.id} title={option.description}>
+                                {option.label}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+
+                <label className="augment-toggle">
+                    <input
+                        type="checkbox"
+                        checked={twoPhase}
+                        onChange={(e) => setTwoPhase(e.target.checked)}
+                        disabled={isLoading}
+                    />
+                    REF, then RREF
+                </label>
+
                 {examples && examples.length > 0 && (
                     <div className="examples-dropdown">
                         <select
@@ -206,24 +279,64 @@ const MatrixInput = ({ onCompute, isLoading, examples, initialMatrix }) => {
                 )}
             </div>
 
-            <div className="matrix-grid-wrapper">
-                <div className="bracket left">[</div>
-                <div className={`matrix-grid ${isLoading ? 'computing' : ''}`} style={gridStyle}>
-                    {matrix.map((row, i) =>
-                        row.map((cell, j) => (
-                            <input
-                                key={`${i}-${j}`}
-                                type="text"
-                                className="matrix-cell"
-                                value={cell}
-                                onChange={(e) => handleCellChange(i, j, e.target.value)}
-                                placeholder="0"
-                                disabled={isLoading}
-                            />
-                        ))
+            {isLargeGrid && (
+                <div className="grid-zoom" role="group" aria-label="Grid zoom">
+                    <span>Zoom:</span>
+                    {UI_CONFIG.GRID_ZOOM_LEVELS.map(level => (
+                        <button
+                            key={level}
+                            type="button"
+                            className={`grid-zoom-btn ${zoom === level ? 'active' : ''}`}
+                            onClick={() => setZoom(level)}
+                        >
+                            {Math.round(level * 100)}%
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            <div className={`matrix-grid-scroll ${isLargeGrid ? 'large' : ''}`}>
+                <div
+                    className={`matrix-grid-wrapper ${isLargeGrid ? 'large' : ''}`}
+                    style={isLargeGrid ? { '--grid-zoom': zoom } : undefined}
+                >
+                    <div className="bracket left">[</div>
+                    <div className={`matrix-grid ${isLoading ? 'computing' : ''}`} style={gridStyle}>
+                        {matrix.map((row, i) =>
+                            row.map((cell, j) => (
+                                <input
+                                    key={`${i}-${j}`}
+                                    type="text"
+                                    className="matrix-cell"
+                                    value={cell}
+                                    onChange={(e) => handleCellChange(i, j, e.target.value)}
+                                    placeholder="0"
+                                    disabled={isLoading}
+                                />
+                            ))
+                        )}
+                    </div>
+                    {augmented && (
+                        <>
+                            <div className="augment-divider" aria-hidden="true"></div>
+                            <div className={`matrix-grid rhs-grid ${isLoading ? 'computing' : ''}`} style={rhsGridStyle}>
+                                {rhs.map((cell, i) => (
+                                    <input
+                                        key={`b-${i}`}
+                                        type="text"
+                                        className="matrix-cell rhs-cell"
+                                        value={cell}
+                                        onChange={(e) => handleRhsChange(i, e.target.value)}
+                                        placeholder="0"
+                                        aria-label={`b${i + 1}`}
+                                        disabled={isLoading}
+                                    />
+                                ))}
+                            </div>
+                        </>
                     )}
+                    <div className="bracket right">]</div>
                 </div>
-                <div className="bracket right">]</div>
             </div>
 
             <div className="matrix-actions">
@@ -238,7 +351,7 @@ const MatrixInput = ({ onCompute, isLoading, examples, initialMatrix }) => {
                             <svg className="spinner" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
                                 <circle cx="12" cy="12" r="10" fill="none" stroke="currentColor" strokeWidth="3" strokeDasharray="31.4" strokeLinecap="round" />
                             </svg>
-                            <span>Computing...</span>
+                            <span>{progress ? `${progress}...` : 'Computing...'}</span>
                         </>
                     ) : computeSuccess ? (
                         <>
@@ -247,10 +360,20 @@ const MatrixInput = ({ onCompute, isLoading, examples, initialMatrix }) => {
                             </svg>
                             <span>Complete!</span>
                         </>
+                    ) : augmented ? (
+                        'Solve Ax = b'
                     ) : (
                         'Compute Subspaces'
                     )}
                 </button>
+                {isLoading && onCancel && (
+                    <button
+                        className="btn btn-secondary"
+                        onClick={onCancel}
+                    >
+                        Cancel
+                    </button>
+                )}
                 <button
                     className="btn btn-secondary"
                     onClick={clearMatrix}
@@ -25,17 +25,17 @@ export const MatrixViewModal = memo(function MatrixViewModal({
         }
     }, [matrix]);
 
-    const computeMatrix = useCallback(async (matrixData) => {
-        const result = await handleCompute(matrixData);
+    const computeMatrix = useCallback(async (matrixData, options) => {
+        const result = await handleCompute(matrixData, options);
         if (result) {
             setResults(result);
         }
     }, [handleCompute]);
 
-    const handleMatrixChange = useCallback(async (newMatrix) => {
+    const handleMatrixChange = useCallback(async (newMatrix, options) => {
         setCurrentMatrix(newMatrix);
         setHasChanges(true);
-        await computeMatrix(newMatrix);
+        await computeMatrix(newMatrix, options);
     }, [computeMatrix]);
 
     const handleClose = useCallback(() => {
@@ -0,0 +1,95 @@
+import { memo } from 'react';
+import LaTeXDisplay from './LaTeXDisplay';
+import './ParametricResults.css';
+
+const SUBSPACE_ROWS = [
+    { key: 'column_space', label: 'Column space C(A)' },
+    { key: 'row_space', label: 'Row space C(Aᵀ)' },
+    { key: 'null_space', label: 'Null space N(A)' },
+    { key: 'left_null_space', label: 'Left null space N(Aᵀ)' }
+];
+
+/**
+ * RREF and the four bases of one case
+ */
+const CaseBody = ({ data }) => (
+    <>
+        <div className="parametric-rref">
+            <span className="parametric-label">RREF</span>
+            <LaTeXDisplay latex={data.rref_latex} />
+        </div>
+        <div className="parametric-bases">
+            {SUBSPACE_ROWS.map(({ key, label }) => (
+                <div key={key} className="parametric-basis">
+                    <span className="parametric-label">{label}</span>
+                    {data[key].length === 0 ? (
+                        <span className="parametric-zero">only the zero vector</span>
+                    ) : (
+                        <LaTeXDisplay latex={data[key].join(',\\; ')} />
+                    )}
+                </div>
+            ))}
+        </div>
+    </>
+);
+
+/**
+ * Results for a matrix with a parameter: the generic case, then one case for
+ * each value where a pivot vanishes
+ */
+const ParametricResults = memo(({ results }) => {
+    const { parameter, generic, cases, irrational } = results.parametric;
+
+    return (
+        <div className="results-container fade-in parametric-results">
+            <h2 className="results-title">Rank Depending on {parameter}</h2>
+
+            <div className="parametric-matrix">
+                <LaTeXDisplay latex={`A(${parameter}) = ${results.parametric.matrix_latex}`} />
+            </div>
+
+            <section className="parametric-case generic">
+                <h3>
+                    {generic.condition_latex ? 'Generic case' : `Every value of ${parameter}`}
+                    <span className="parametric-rank">rank {generic.rank}</span>
+                </h3>
+                {generic.condition_latex && <LaTeXDisplay latex={generic.condition_latex} />}
+                <p className="parametric-note">
+                    Entries are rational functions of {parameter}; basis vectors are scaled to clear denominators,
+                    which is valid wherever the case applies.
+                </p>
+                <CaseBody data={generic} />
+            </section>
+
+            {cases.map(c => (
+                <section
+                    key={c.value}
+                    className={`parametric-case ${c.rank < generic.rank ? 'rank-drop' : ''}`}
+                >
+                    <h3>
+                        {parameter} = {c.value}
+                        <span className="parametric-rank">
+                            rank {c.rank}{c.rank < generic.rank ? ` (drops by ${generic.rank - c.rank})` : ' (unchanged)'}
+                        </span>
+                    </h3>
+                    <div className="parametric-rref">
+                        <span className="parametric-label">A</span>
+                        <LaTeXDisplay latex={c.matrix_latex} />
+                    </div>
+                    <CaseBody data={c} />
+                </section>
+            ))}
+
+            {irrational.length > 0 && (
+                <p className="parametric-note">
+                    A pivot also vanishes at the irrational or complex values {parameter} ≈ {irrational.join(', ')}.
+                    The rank may drop there, but these cases cannot be substituted exactly with fractions.
+                </p>
+            )}
+        </div>
+    );
+});
+
+ParametricResults.displayName = 'ParametricResults';
+
+export default ParametricResults;
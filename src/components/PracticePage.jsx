@@ -0,0 +1,148 @@
+import { useState, useMemo, memo } from 'react';
+import LaTeXDisplay from './LaTeXDisplay';
+import { Matrix } from '../utils/rrefCalculator';
+import { SUBSPACES, parseVectorList, gradeBasis } from '../utils/basisGrader';
+import { generateProblem } from '../utils/problemGenerator';
+import { computeColumnSpace, computeRowSpace, computeNullSpace, computeLeftNullSpace } from '../utils/spaceCalculator';
+import { vectorToLatex } from '../utils/formatUtils';
+import { usePracticeSession } from '../hooks';
+import './PracticePage.css';
+
+const EMPTY_ANSWERS = Object.fromEntries(SUBSPACES.map(({ key }) => [key, '']));
+
+/**
+ * One basis of each subspace, shown after the student has checked
+ */
+function referenceBases(matrix) {
+    return {
+        column_space: computeColumnSpace(matrix),
+        row_space: computeRowSpace(matrix, 'rref'),
+        null_space: computeNullSpace(matrix),
+        left_null_space: computeLeftNullSpace(matrix)
+    };
+}
+
+/**
+ * Practice page: the student types a basis for each of the four subspaces
+ * of a generated matrix and gets graded feedback. Any correct basis counts.
+ */
+export const PracticePage = memo(function PracticePage() {
+    const [problem, setProblem] = useState(() => generateProblem());
+    const [answers, setAnswers] = useState(EMPTY_ANSWERS);
+    const [grades, setGrades] = useState(null);
+    const [scored, setScored] = useState(false);
+    const [showAnswer, setShowAnswer] = useState(false);
+    const { score, recordAttempt, resetScore } = usePracticeSession();
+
+    const matrix = useMemo(() => new Matrix(problem.matrix), [problem]);
+
+    const handleCheck = () => {
+        const graded = Object.fromEntries(SUBSPACES.map(({ key }) => {
+            try {
+                return [key, gradeBasis(matrix, key, parseVectorList(answers[key]))];
+            } catch (error) {
+                return [key, { correct: false, feedback: [error.message] }];
+            }
+        }));
+        setGrades(graded);
+
+        // Only the first check of a problem counts towards the score
+        if (!scored) {
+            const correct = Object.values(graded).filter(grade => grade.correct).length;
+            recordAttempt(correct, SUBSPACES.length);
+            setScored(true);
+        }
+    };
+
+    const handleNewProblem = () => {
+        setProblem(generateProblem());
+        setAnswers(EMPTY_ANSWERS);
+        setGrades(null);
+        setScored(false);
+        setShowAnswer(false);
+    };
+
+    const reference = showAnswer ? referenceBases(matrix) : null;
+
+    return (
+        <main className="main-content practice-page">
+            <section className="input-section">
+                <h2>Practice: the Four Subspaces</h2>
+                <p className="subtitle">
+                    Find a basis for each subspace of A. Enter one vector per line, with entries separated
+                    by commas (e.g. <code>1, -2, 1/2</code>). Leave a box empty if the subspace is only the zero vector.
+                </p>
+
+                <div className="practice-score">
+                    <span>
+                        Score: <strong>{score.correct} / {score.total}</strong> subspaces over {score.problems} problem{score.problems === 1 ? '' : 's'}
+                    </span>
+                    <button type="button" className="practice-link" onClick={resetScore} disabled={score.problems === 0}>
+                        Reset score
+                    </button>
+                </div>
+
+                <div className="practice-problem">
+                    <span className="practice-label">A ({problem.rows} × {problem.cols})</span>
+                    <LaTeXDisplay latex={matrix.toLatex()} />
+                </div>
+
+                <div className="practice-answers">
+                    {SUBSPACES.map(({ key, name, symbol, size }) => {
+                        const grade = grades?.[key];
+                        const length = size === 'rows' ? problem.rows : problem.cols;
+                        return (
+                            <div
+                                key={key}
+                                className={`practice-card ${grade ? (grade.correct ? 'correct' : 'incorrect') : ''}`}
+                            >
+                                <label htmlFor={`practice-${key}`}>
+                                    {name} <span className="practice-symbol">{symbol}</span>
+                                    <span className="practice-hint">vectors with {length} entries</span>
+                                </label>
+                                <textarea
+                                    id={`practice-${key}`}
+                                    rows={3}
+                                    value={answers[key]}
+                                    onChange={(e) => setAnswers(prev => ({ ...prev, [key]: e.target.value }))}
+                                    spellCheck={false}
+                                />
+                                {grade && (
+                                    <ul className="practice-feedback">
+                                        {grade.feedback.map((message, idx) => (
+                                            <li key={idx}>{message}</li>
+                                        ))}
+                                    </ul>
+                                )}
+                                {reference && (
+                                    <div className="practice-reference">
+                                        <span className="practice-hint">One possible basis:</span>
+                                        {reference[key].length === 0 ? (
+                                            <span> empty (only the zero vector)</span>
+                                        ) : (
+                                            <LaTeXDisplay latex={reference[key].map(vectorToLatex).join(',\\; ')} />
+                                        )}
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+
+                <div className="practice-actions">
+                    <button type="button" className="btn btn-primary" onClick={handleCheck}>
+                        Check answers
+                    </button>
+                    <button type="button" className="btn btn-secondary" onClick={handleNewProblem}>
+                        New problem
+                    </button>
+                    {grades && !showAnswer && (
+                        <button type="button" className="practice-link" onClick={() => setShowAnswer(true)}>
+                            Show one answer
+                        </button>
+                    )}
+                </div>
+            </section>
+        </main>
+    );
+});
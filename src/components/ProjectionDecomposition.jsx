@@ -0,0 +1,143 @@
+import { memo, useState } from 'react';
+import LaTeXDisplay from './LaTeXDisplay';
+import { decomposeVector } from '../utils/projectionCalculator';
+import { resizeVector } from '../utils/matrixUtils';
+import './ProjectionDecomposition.css';
+
+// Each side of the big picture: a space split into two orthogonal complements
+const SIDES = {
+    domain: {
+        label: 'x ∈ ℝⁿ',
+        vector: 'x',
+        parts: [
+            { key: 'row_space', name: 'Row space', symbol: 'r', space: 'C(A^T)' },
+            { key: 'null_space', name: 'Null space', symbol: 'n', space: 'N(A)' }
+        ]
+    },
+    codomain: {
+        label: 'b ∈ ℝᵐ',
+        vector: 'b',
+        parts: [
+            { key: 'column_space', name: 'Column space', symbol: 'c', space: 'C(A)' },
+            { key: 'left_null_space', name: 'Left null space', symbol: 'l', space: 'N(A^T)' }
+        ]
+    }
+};
+
+/**
+ * Projection matrices onto the four subspaces and the orthogonal
+ * decomposition of a user-entered vector
+ */
+const ProjectionDecomposition = memo(({ projections, rows, cols }) => {
+    const [side, setSide] = useState('domain'); // 'domain' or 'codomain'
+    const [entries, setEntries] = useState({ domain: [], codomain: [] });
+
+    const config = SIDES[side];
+    const size = side === 'domain' ? cols : rows;
+    const values = resizeVector(entries[side], size);
+    const [first, second] = config.parts;
+
+    if (!projections) return null;
+
+    let decomposition = null;
+    if (values.some(value => value.trim() !== '')) {
+        try {
+            decomposition = decomposeVector(
+                projections[first.key].exact,
+                values.map(value => value.trim() === '' ? '0' : value.trim())
+            );
+        } catch (error) {
+            decomposition = { error: error.message };
+        }
+    }
+
+    const handleEntryChange = (index, value) => {
+        const updated = [...values];
+        updated[index] = value;
+        setEntries({ ...entries, [side]: updated });
+    };
+
+    const v = `\\mathbf{${config.vector}}`;
+    const partLatex = (part) => `${v}_{${part.symbol}}`;
+
+    return (
+        <div className="projection-section">
+            <h3>Projections & Vector Decomposition</h3>
+
+            <div className="projection-toggle">
+                {Object.entries(SIDES).map(([id, option]) => (
+                    <button
+                        key={id}
+                        className={`toggle-btn ${side === id ? 'active' : ''}`}
+                        onClick={() => setSide(id)}
+                    >
+                        {option.label}
+                    </button>
+                ))}
+            </div>
+
+            <div className="projection-matrices">
+                {config.parts.map(part => (
+                    <div key={part.key} className="projection-block">
+                        <span className="projection-label">Projection onto {part.name.toLowerCase()}</span>
+                        {projections[part.key].basis_latex && (
+                            <LaTeXDisplay latex={`B = ${projections[part.key].basis_latex}`} />
+                        )}
+                        <LaTeXDisplay
+                            latex={`P_{${part.space}} = ${projections[part.key].basis_latex ? 'B(B^TB)^{-1}B^T = ' : ''}${projections[part.key].latex}`}
+                        />
+                    </div>
+                ))}
+            </div>
+
+            <div className={`projection-check ${projections.complementary[side] ? 'verified' : 'failed'}`}>
+                <LaTeXDisplay latex={`P_{${first.space}} + P_{${second.space}} = I`} />
+                <span>
+                    {projections.complementary[side]
+                        ? `✓ ${first.name} and ${second.name.toLowerCase()} are orthogonal complements`
+                        : '✗ Projections do not add up to I'}
+                </span>
+            </div>
+
+            <div className="projection-input">
+                <span className="projection-label">Enter {config.vector} (fractions and decimals allowed)</span>
+                <div className="projection-entries">
+                    {values.map((value, idx) => (
+                        <input
+                            key={idx}
+                            type="text"
+                            className="projection-cell"
+                            value={value}
+                            placeholder="0"
+                            onChange={(e) => handleEntryChange(idx, e.target.value)}
+                            aria-label={`${config.vector} entry ${idx + 1}`}
+                        />
+                    ))}
+                </div>
+            </div>
+
+            {decomposition?.error && (
+                <p className="projection-error">{decomposition.error}</p>
+            )}
+
+            {decomposition && !decomposition.error && (
+                <div className="projection-result">
+                    <LaTeXDisplay
+                        latex={`${v} = ${partLatex(first)} + ${partLatex(second)} = ${decomposition.latex.parallel} + ${decomposition.latex.perpendicular}`}
+                    />
+                    <div className="projection-note">
+                        <LaTeXDisplay latex={`${partLatex(first)} = P_{${first.space}}${v} \\in ${first.space}, \\quad ${partLatex(second)} = ${v} - ${partLatex(first)} \\in ${second.space}`} />
+                    </div>
+                    <div className={`projection-check ${decomposition.orthogonal ? 'verified' : 'failed'}`}>
+                        <LaTeXDisplay latex={`${partLatex(first)} \\cdot ${partLatex(second)} = ${decomposition.latex.dot}`} />
+                        <span>{decomposition.orthogonal ? '✓ The two parts are orthogonal' : '✗ The parts are not orthogonal'}</span>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+});
+
+ProjectionDecomposition.displayName = 'ProjectionDecomposition';
+
+export default ProjectionDecomposition;
@@ -0,0 +1,147 @@
+import { memo, useState } from 'react';
+import LaTeXDisplay from './LaTeXDisplay';
+import './RowOperationsDisplay.css';
+import './QRDecomposition.css';
+
+/**
+ * Displays A = QR from Gram–Schmidt on the columns of A, with a step
+ * viewer showing the projections subtracted from each column
+ */
+const QRDecomposition = memo(({ qr }) => {
+    const [form, setForm] = useState('qr'); // 'qr' or 'orthogonal'
+    const [currentStep, setCurrentStep] = useState(0);
+    const [isExpanded, setIsExpanded] = useState(false);
+
+    if (!qr) return null;
+
+    if (qr.zero) {
+        return (
+            <div className="qr-section">
+                <h3>QR Decomposition</h3>
+                <p className="qr-note">A is the zero matrix, so it has no QR decomposition.</p>
+            </div>
+        );
+    }
+
+    const step = qr.steps[Math.min(currentStep, qr.steps.length - 1)];
+
+    return (
+        <div className="qr-section">
+            <h3>QR Decomposition</h3>
+
+            {qr.reduced && (
+                <p className="qr-note">
+                    The columns of A are dependent, so this is the reduced form: Q has rank(A) = {qr.rank} orthonormal columns and R is {qr.rank} × {qr.steps.length}.
+                </p>
+            )}
+
+            <div className="qr-toggle">
+                <button
+                    className={`toggle-btn ${form === 'qr' ? 'active' : ''}`}
+                    onClick={() => setForm('qr')}
+                >
+                    A = QR
+                </button>
+                <button
+                    className={`toggle-btn ${form === 'orthogonal' ? 'active' : ''}`}
+                    onClick={() => setForm('orthogonal')}
+                >
+                    A = UR̃ (Fractions)
+                </button>
+            </div>
+
+            {form === 'qr' ? (
+                <div className="qr-factors">
+                    <div className="qr-factor">
+                        <span className="qr-label">Orthonormal columns</span>
+                        <LaTeXDisplay latex={`Q = ${qr.Q}`} />
+                    </div>
+                    <div className="qr-factor">
+                        <span className="qr-label">{qr.reduced ? 'Echelon form' : 'Upper triangular'}</span>
+                        <LaTeXDisplay latex={`R = Q^TA = ${qr.R}`} />
+                    </div>
+                </div>
+            ) : (
+                <div className="qr-factors">
+                    <div className="qr-factor">
+                        <span className="qr-label">Orthogonal columns</span>
+                        <LaTeXDisplay latex={`U = ${qr.U}`} />
+                    </div>
+                    <div className="qr-factor">
+                        <span className="qr-label">Projection coefficients</span>
+                        <LaTeXDisplay latex={`\\tilde{R} = ${qr.unit_R}`} />
+                    </div>
+                    <div className="qr-factor">
+                        <span className="qr-label">Squared norms</span>
+                        <LaTeXDisplay latex={`D = U^TU = ${qr.D}`} />
+                    </div>
+                </div>
+            )}
+
+            <div className={`qr-check ${qr.verified ? 'verified' : 'failed'}`}>
+                <LaTeXDisplay latex={'A = U\\tilde{R}, \\quad Q = UD^{-1/2}, \\quad R = D^{1/2}\\tilde{R}'} />
+                <span>{qr.verified ? '✓ Product verified exactly' : '✗ Product does not match A'}</span>
+            </div>
+
+            <div className="row-operations-container">
+                <div className="row-operations-header">
+                    <button
+                        className="toggle-button"
+                        onClick={() => setIsExpanded(!isExpanded)}
+                    >
+                        {isExpanded ? '▼' : '▶'} Step-by-Step Gram–Schmidt ({qr.steps.length} columns)
+                    </button>
+                </div>
+
+                {isExpanded && (
+                    <div className="row-operations-content">
+                        <div className="step-controls">
+                            <button
+                                className="step-button"
+                                onClick={() => setCurrentStep(Math.max(0, currentStep - 1))}
+                                disabled={currentStep === 0}
+                            >
+                                ← Previous
+                            </button>
+                            <span className="step-indicator">
+                                Column {step.column} of {qr.steps.length}
+                            </span>
+                            <button
+                                className="step-button"
+                                onClick={() => setCurrentStep(Math.min(qr.steps.length - 1, currentStep + 1))}
+                                disabled={currentStep === qr.steps.length - 1}
+                            >
+                                Next →
+                            </button>
+                        </div>
+
+                        <div className="operation-display">
+                            <div className="qr-step">
+                                <span className="qr-label">Subtract the projections onto earlier u's</span>
+                                <LaTeXDisplay latex={step.latex} />
+                            </div>
+                            {step.dependent ? (
+                                <p className="qr-note">
+                                    a<sub>{step.column}</sub> is a combination of earlier columns: it adds no new q, only its column of R.
+                                </p>
+                            ) : (
+                                <div className="qr-step">
+                                    <span className="qr-label">Normalize</span>
+                                    <LaTeXDisplay latex={step.normalization} />
+                                </div>
+                            )}
+                            <div className="qr-step">
+                                <span className="qr-label">Column {step.column} of R</span>
+                                <LaTeXDisplay latex={`\\mathbf{r}_{${step.column}} = ${step.r_column}`} />
+                            </div>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+});
+
+QRDecomposition.displayName = 'QRDecomposition';
+
+export default QRDecomposition;
@@ -1,15 +1,30 @@
-import { useEffect, useRef, useState, memo } from 'react';
-import katex from 'katex';
-import 'katex/dist/katex.min.css';
+import { useState, memo } from 'react';
 import './ResultsDisplay.css';
+import LaTeXDisplay from './LaTeXDisplay';
 import RowOperationsDisplay from './RowOperationsDisplay';
 import BasisVisualization from './BasisVisualization';
+import SystemSolution from './SystemSolution';
+import LeastSquares from './LeastSquares';
+import DeterminantInverse from './DeterminantInverse';
+import LUDecomposition from './LUDecomposition';
+import QRDecomposition from './QRDecomposition';
+import SVDDecomposition from './SVDDecomposition';
+import EigenAnalysis from './EigenAnalysis';
+import ProjectionDecomposition from './ProjectionDecomposition';
+import ManualReduction from './ManualReduction';
+import BasisVerifier from './BasisVerifier';
+import ParametricResults from './ParametricResults';
 
 const ResultsDisplay = memo(({ results }) => {
     const [showBasisViz, setShowBasisViz] = useState(false);
+    const [showManual, setShowManual] = useState(false);
+    const [showVerifier, setShowVerifier] = useState(false);
 
     if (!results) return null;
 
+    // Matrices with a parameter get a case analysis instead
+    if (results.parametric) return <ParametricResults results={results} />;
+
     return (
         <div className="results-container fade-in">
             <h2 className="results-title">Fundamental Subspaces</h2>
@@ -25,15 +40,69 @@ const ResultsDisplay = memo(({ results }) => {
                 </div>
             </div>
 
+            {results.ref && (
+                <div className="rref-section" style={{ animationDelay: '0.2s' }}>
+                    <h3>Row Echelon Form (REF)</h3>
+                    <LaTeXDisplay latex={results.ref.latex} />
+                    <p className="pivot-info">After forward elimination; the backward phase turns it into the RREF.</p>
+                </div>
+            )}
+
             <div className="rref-section" style={{ animationDelay: '0.2s' }}>
                 <h3>Row-Reduced Echelon Form (RREF)</h3>
                 <LaTeXDisplay latex={results.rref.latex} />
                 <p className="pivot-info">Pivot columns: {results.rref.pivots.map(p => p + 1).join(', ') || 'None'}</p>
 
                 {/* Add row operations display */}
-                {results.operations && <RowOperationsDisplay operations={results.operations} />}
+                {results.operations && (
+                    <RowOperationsDisplay
+                        operations={results.operations}
+                        strategy={results.rref.strategy}
+                        verification={results.elimination}
+                    />
+                )}
+
+                <button className="steps-toggle manual-toggle" onClick={() => setShowManual(!showManual)}>
+                    {showManual ? 'Hide manual reduction' : 'Reduce it yourself'}
+                </button>
+                {showManual && (
+                    <ManualReduction
+                        key={results.matrix.exact.join(';')}
+                        matrix={results.matrix.exact}
+                        strategy={results.rref.strategy}
+                    />
+                )}
             </div>
 
+            {results.system && <SystemSolution system={results.system} />}
+
+            {results.least_squares && <LeastSquares leastSquares={results.least_squares} />}
+
+            {results.lu && <LUDecomposition lu={results.lu} />}
+
+            {results.qr && <QRDecomposition qr={results.qr} />}
+
+            {results.svd && (
+                <SVDDecomposition
+                    svd={results.svd}
+                    rows={results.matrix.rows}
+                    cols={results.matrix.cols}
+                />
+            )}
+
+            {results.eigen && <EigenAnalysis eigen={results.eigen} />}
+            {results.eigen_error && (
+                <p className="pivot-info">Eigenvalues could not be computed: {results.eigen_error}</p>
+            )}
+
+            {results.determinant && (
+                <DeterminantInverse
+                    determinant={results.determinant}
+                    inverse={results.inverse}
+                    size={results.matrix.rows}
+                />
+            )}
+
             <div className="dimension-theorem" style={{ animationDelay: '0.3s' }}>
                 <h3>Dimension Theorem Check</h3>
                 <div className="theorem-cards">
@@ -65,7 +134,7 @@ const ResultsDisplay = memo(({ results }) => {
                         color="purple"
                     />
                 </div>
-                <div style={{ animationDelay: '0.6s' }}>
+                <div id="null-space" style={{ animationDelay: '0.6s' }}>
                     <SubspaceCard
                         name="Null Space"
                         symbol="N(A)"
@@ -73,30 +142,49 @@ const ResultsDisplay = memo(({ results }) => {
                         color="blue"
                     />
                 </div>
-                <div style={{ animationDelay: '0.7s' }}>
+                <div id="left-null-space" style={{ animationDelay: '0.7s' }}>
                     <SubspaceCard
                         name="Left Null Space"
-                        symbol="N(Aᵀ)"
+                        symbol={results.complex ? 'N(Aᴴ)' : 'N(Aᵀ)'}
                         data={results.left_null_space}
                         color="cyan"
                     />
                 </div>
             </div>
 
-            {/* 3D Visualization */}
-            <div className="visualize-section">
-                <button
-                    className="btn-visualize-3d"
-                    onClick={() => setShowBasisViz(true)}
-                >
-                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                        <path d="M21 16V8a2 2 0 0 0-1-1.73l-7-4a2 2 0 0 0-2 0l-7 4A2 2 0 0 0 3 8v8a2 2 0 0 0 1 1.73l7 4a2 2 0 0 0 2 0l7-4A2 2 0 0 0 21 16z"></path>
-                        <polyline points="3.27 6.96 12 12.01 20.73 6.96"></polyline>
-                        <line x1="12" y1="22.08" x2="12" y2="12"></line>
-                    </svg>
-                    <span>Visualize in 3D</span>
+            {!results.complex && (
+                <button className="steps-toggle manual-toggle" onClick={() => setShowVerifier(!showVerifier)}>
+                    {showVerifier ? 'Hide basis checker' : 'Check your own vectors'}
                 </button>
-            </div>
+            )}
+            {showVerifier && !results.complex && (
+                <BasisVerifier key={results.matrix.exact.join(';')} results={results} />
+            )}
+
+            {results.projections && (
+                <ProjectionDecomposition
+                    projections={results.projections}
+                    rows={results.matrix.rows}
+                    cols={results.matrix.cols}
+                />
+            )}
+
+            {/* 3D Visualization (real matrices only) */}
+            {!results.complex && (
+                <div className="visualize-section">
+                    <button
+                        className="btn-visualize-3d"
+                        onClick={() => setShowBasisViz(true)}
+                    >
+                        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                            <path d="M21 16V8a2 2 0 0 0-1-1.73l-7-4a2 2 0 0 0-2 0l-7 4A2 2 0 0 0 3 8v8a2 2 0 0 0 1 1.73l7 4a2 2 0 0 0 2 0l7-4A2 2 0 0 0 21 16z"></path>
+                            <polyline points="3.27 6.96 12 12.01 20.73 6.96"></polyline>
+                            <line x1="12" y1="22.08" x2="12" y2="12"></line>
+                        </svg>
+                        <span>Visualize in 3D</span>
+                    </button>
+                </div>
+            )}
 
             {showBasisViz && (
                 <BasisVisualization
@@ -108,26 +196,30 @@ const ResultsDisplay = memo(({ results }) => {
     );
 });
 
-const LaTeXDisplay = ({ latex }) => {
-    const containerRef = useRef(null);
-
-    useEffect(() => {
-        if (containerRef.current && latex) {
-            try {
-                katex.render(latex, containerRef.current, {
-                    throwOnError: false,
-                    displayMode: true,
-                });
-            } catch (e) {
-                containerRef.current.textContent = latex;
-            }
-        }
-    }, [latex]);
-
-    return <div ref={containerRef} className="latex-display"></div>;
-};
+const BASIS_VIEWS = [
+    { id: 'basis', label: 'Basis', vectorName: 'v' },
+    { id: 'orthogonal', label: 'Orthogonal', vectorName: 'u' },
+    { id: 'orthonormal', label: 'Orthonormal', vectorName: 'q' }
+];
+
+// Row-space bases: independent rows of A, or nonzero rows of the RREF
+const ROW_SPACE_SOURCES = [
+    { id: 'original', label: 'Rows of A', provenance: row => `row ${row} of A` },
+    { id: 'rref', label: 'Rows of RREF', provenance: row => `from row ${row} of A` }
+];
+
+const SubspaceCard = ({ name, symbol, data: allData, color }) => {
+    const [selectedView, setView] = useState('basis');
+    const [source, setSource] = useState(allData.source);
+    const [showSteps, setShowSteps] = useState(false);
+
+    const data = allData.choices ? { ...allData, ...allData.choices[source] } : allData;
+    // Complex results have no Gram–Schmidt bases, whatever was selected before
+    const view = data.orthogonal ? selectedView : 'basis';
+    const sourceOption = ROW_SPACE_SOURCES.find(option => option.id === source);
+    const current = BASIS_VIEWS.find(option => option.id === view);
+    const vectors = view === 'basis' ? data.latex : data.orthogonal[view].latex;
 
-const SubspaceCard = ({ name, symbol, data, color }) => {
     return (
         <div className={`subspace-card subspace-${color}`}>
             <div className="subspace-header">
@@ -138,21 +230,72 @@ const SubspaceCard = ({ name, symbol, data, color }) => {
                 <span className="dimension-badge">dim = {data.dimension}</span>
                 <span className="description">{data.description}</span>
             </div>
+            {data.dimension > 0 && allData.choices && (
+                <div className="basis-toggle">
+                    {ROW_SPACE_SOURCES.map(option => (
+                        <button
+                            key={option.id}
+                            className={`toggle-btn ${source === option.id ? 'active' : ''}`}
+                            onClick={() => setSource(option.id)}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+            )}
+            {data.dimension > 0 && data.orthogonal && (
+                <div className="basis-toggle">
+                    {BASIS_VIEWS.map(option => (
+                        <button
+                            key={option.id}
+                            className={`toggle-btn ${view === option.id ? 'active' : ''}`}
+                            onClick={() => setView(option.id)}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+            )}
             <div className="subspace-basis">
                 {data.dimension === 0 ? (
                     <p className="trivial-space">Trivial (only zero vector)</p>
                 ) : (
                     <div className="basis-vectors">
-                        <span className="basis-label">Basis:</span>
-                        {data.latex.map((vec, idx) => (
+                        <span className="basis-label">
+                            {view === 'basis' ? 'Basis:' : `${current.label} basis (Gram–Schmidt):`}
+                        </span>
+                        {vectors.map((vec, idx) => (
                             <div key={idx} className="vector-container">
-                                <span className="vector-label">v<sub>{idx + 1}</sub> =</span>
+                                <span className="vector-label">{current.vectorName}<sub>{idx + 1}</sub> =</span>
                                 <LaTeXDisplay latex={vec} />
+                                {view === 'basis' && data.sources && (
+                                    <span className="vector-source">{sourceOption.provenance(data.sources[idx])}</span>
+                                )}
                             </div>
                         ))}
+                        {view === 'orthonormal' && (
+                            <div className="gram-schmidt-norms">
+                                {data.orthogonal.norms.map((norm, idx) => (
+                                    <LaTeXDisplay
+                                        key={idx}
+                                        latex={`\\mathbf{q}_{${idx + 1}} = \\frac{\\mathbf{u}_{${idx + 1}}}{\\lVert \\mathbf{u}_{${idx + 1}} \\rVert}, \\quad \\lVert \\mathbf{u}_{${idx + 1}} \\rVert = ${norm}`}
+                                    />
+                                ))}
+                            </div>
+                        )}
                     </div>
                 )}
             </div>
+            {data.dimension > 0 && view !== 'basis' && (
+                <div className="gram-schmidt-steps">
+                    <button className="steps-toggle" onClick={() => setShowSteps(!showSteps)}>
+                        {showSteps ? 'Hide' : 'Show'} Gram–Schmidt steps
+                    </button>
+                    {showSteps && data.orthogonal.steps.map((step, idx) => (
+                        <LaTeXDisplay key={idx} latex={step} />
+                    ))}
+                </div>
+            )}
         </div>
     );
 };
@@ -1,16 +1,37 @@
-import { useState, memo } from 'react';
+import { useState, memo, Fragment } from 'react';
 import katex from 'katex';
 import 'katex/dist/katex.min.css';
+import { PIVOT_STRATEGIES } from '../utils/rrefCalculator';
 import './RowOperationsDisplay.css';
 
+// Headings for the phases of a two-phase reduction
+const PHASE_LABELS = {
+    forward: 'Forward elimination → REF',
+    backward: 'Backward phase → RREF'
+};
+
 /**
  * Component to display step-by-step elementary row operations
  * Optimized with React.memo to prevent unnecessary re-renders
+ * augmentAt draws a divider in augmented matrices such as [A | I]
+ * strategy names the pivoting strategy that produced the steps
+ * Steps carrying a phase are grouped under forward and backward headings
+ * Steps carrying elementary/product matrices show Eₖ and Eₖ⋯E₁, and
+ * verification = { E_latex, A_latex, R_latex, verified, rank, rows } adds the
+ * final check EA = R
  */
-const RowOperationsDisplay = memo(({ operations }) => {
+const RowOperationsDisplay = memo(({
+    operations,
+    augmentAt = null,
+    title = 'Step-by-Step Row Operations',
+    strategy = null,
+    verification = null
+}) => {
     const [currentStep, setCurrentStep] = useState(0);
     const [isExpanded, setIsExpanded] = useState(false);
 
+    const strategyOption = PIVOT_STRATEGIES.find(option => option.id === strategy);
+
     if (!operations || operations.length === 0) {
         return (
             <div className="row-operations-empty">
@@ -19,11 +40,8 @@ const RowOperationsDisplay = memo(({ operations }) => {
         );
     }
 
-    const renderMatrix = (matrix) => {
-        if (!matrix) return null;
-
+    const renderLatex = (latex) => {
         try {
-            const latex = matrix.toLatex();
             const html = katex.renderToString(latex, {
                 throwOnError: false,
                 displayMode: true
@@ -34,6 +52,18 @@ const RowOperationsDisplay = memo(({ operations }) => {
         }
     };
 
+    const renderMatrix = (matrix) => {
+        if (!matrix) return null;
+        return renderLatex(matrix.toLatex(augmentAt));
+    };
+
+    const scrollToLeftNullSpace = () => {
+        const leftNullCard = document.getElementById('left-null-space');
+        if (leftNullCard) {
+            leftNullCard.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    };
+
     const LaTeXNotation = ({ latex }) => {
         try {
             const html = katex.renderToString(latex, {
@@ -74,8 +104,13 @@ const RowOperationsDisplay = memo(({ operations }) => {
                     className="toggle-button"
                     onClick={() => setIsExpanded(!isExpanded)}
                 >
-                    {isExpanded ? '▼' : '▶'} Step-by-Step Row Operations ({operations.length} steps)
+                    {isExpanded ? '▼' : '▶'} {title} ({operations.length} steps)
                 </button>
+                {strategyOption && (
+                    <p className="strategy-note">
+                        Pivoting: <strong>{strategyOption.label}</strong> — {strategyOption.description.toLowerCase()}
+                    </p>
+                )}
             </div>
 
             {isExpanded && (
@@ -90,6 +125,7 @@ const RowOperationsDisplay = memo(({ operations }) => {
                         </button>
                         <span className="step-indicator">
                             Step {currentStep + 1} of {operations.length}
+                            {currentOperation.phase && ` · ${PHASE_LABELS[currentOperation.phase]}`}
                         </span>
                         <button
                             className="step-button"
@@ -128,6 +164,24 @@ const RowOperationsDisplay = memo(({ operations }) => {
                             </div>
                         </div>
 
+                        {currentOperation.elementary && (
+                            <div className="matrices-comparison elementary-matrices">
+                                <div className="matrix-section">
+                                    <h4>Elementary matrix</h4>
+                                    <div className="matrix-display">
+                                        {renderLatex(`E_{${currentStep + 1}} = ${currentOperation.elementary.toLatex()}`)}
+                                    </div>
+                                </div>
+
+                                <div className="matrix-section">
+                                    <h4>Running product</h4>
+                                    <div className="matrix-display">
+                                        {renderLatex(`${currentStep === 0 ? 'E_{1}' : `E_{${currentStep + 1}} \\cdots E_{1}`} = ${currentOperation.product.toLatex()}`)}
+                                    </div>
+                                </div>
+                            </div>
+                        )}
+
                         <div className="operation-details">
                             <h4>Operation Type</h4>
                             <ul>
@@ -140,6 +194,9 @@ const RowOperationsDisplay = memo(({ operations }) => {
                                 {currentOperation.type === 'add' && (
                                     <li><strong>Type 3 (Row Addition):</strong> Add a multiple of one row to another</li>
                                 )}
+                                {currentOperation.type === 'combine' && (
+                                    <li><strong>Types 2 + 3 (Fraction-free):</strong> Scale a row, then add a multiple of the pivot row, keeping integer entries</li>
+                                )}
                             </ul>
                         </div>
                     </div>
@@ -148,22 +205,53 @@ const RowOperationsDisplay = memo(({ operations }) => {
                         <h4>All Steps</h4>
                         <div className="steps-list">
                             {operations.map((op, idx) => (
-                                <div
-                                    key={idx}
-                                    className={`step-item ${idx === currentStep ? 'active' : ''}`}
-                                    onClick={() => setCurrentStep(idx)}
-                                >
-                                    <span className={`step-badge operation-${op.type}`}>
-                                        {idx + 1}
-                                    </span>
-                                    <span className="step-notation">
-                                        <LaTeXNotation latex={op.notation} />
-                                    </span>
-                                    <span className="step-desc">{renderDescription(op.description)}</span>
-                                </div>
+                                <Fragment key={idx}>
+                                    {op.phase && op.phase !== operations[idx - 1]?.phase && (
+                                        <div className="phase-heading">{PHASE_LABELS[op.phase]}</div>
+                                    )}
+                                    <div
+                                        className={`step-item ${idx === currentStep ? 'active' : ''}`}
+                                        onClick={() => setCurrentStep(idx)}
+                                    >
+                                        <span className={`step-badge operation-${op.type}`}>
+                                            {idx + 1}
+                                        </span>
+                                        <span className="step-notation">
+                                            <LaTeXNotation latex={op.notation} />
+                                        </span>
+                                        <span className="step-desc">{renderDescription(op.description)}</span>
+                                    </div>
+                                </Fragment>
                             ))}
                         </div>
                     </div>
+
+                    {verification && (
+                        <div className="elimination-verification">
+                            <h4>Verification: EA = R</h4>
+                            <p>
+                                E = E<sub>{operations.length}</sub> ⋯ E<sub>1</sub> is the product of all the steps.
+                                {verification.verified ? ' Multiplying it by A gives the RREF:' : ' EA does not match R.'}
+                            </p>
+                            <div className="matrix-display">
+                                {renderLatex(`${verification.E_latex} ${verification.A_latex} = ${verification.R_latex}`)}
+                            </div>
+                            {verification.rank < verification.rows && (
+                                <p>
+                                    {verification.rank + 1 === verification.rows
+                                        ? `Row ${verification.rows} of R is zero, so the matching row of E`
+                                        : `Rows ${verification.rank + 1}–${verification.rows} of R are zero, so the matching rows of E`}
+                                    {verification.rank > 0 && ' (below the line)'} satisfy yᵀA = 0:{' '}
+                                    {verification.complex
+                                        ? 'their conjugates are the basis of the left null space N(Aᴴ), since yᴴA = 0.'
+                                        : 'they are the basis of the left null space N(Aᵀ).'}{' '}
+                                    <button type="button" className="verification-link" onClick={scrollToLeftNullSpace}>
+                                        View {verification.complex ? 'N(Aᴴ)' : 'N(Aᵀ)'} →
+                                    </button>
+                                </p>
+                            )}
+                        </div>
+                    )}
                 </div>
             )}
         </div>
@@ -0,0 +1,105 @@
+import { memo } from 'react';
+import LaTeXDisplay from './LaTeXDisplay';
+import './SVDDecomposition.css';
+
+const SUBSPACE_GROUPS = [
+    { key: 'row_space', vectors: 'v', range: 'first', space: 'Row space C(Aᵀ)' },
+    { key: 'null_space', vectors: 'v', range: 'rest', space: 'Null space N(A)' },
+    { key: 'column_space', vectors: 'u', range: 'first', space: 'Column space C(A)' },
+    { key: 'left_null_space', vectors: 'u', range: 'rest', space: 'Left null space N(Aᵀ)' }
+];
+
+const SUBSCRIPT_DIGITS = '₀₁₂₃₄₅₆₇₈₉';
+
+function toSubscript(value) {
+    return String(value).split('').map(digit => SUBSCRIPT_DIGITS[Number(digit)]).join('');
+}
+
+/**
+ * Displays the floating-point SVD A = UΣVᵀ and how its singular vectors
+ * split into bases for the four fundamental subspaces
+ */
+const SVDDecomposition = memo(({ svd, rows, cols }) => {
+    if (!svd) return null;
+
+    const r = svd.exact_rank;
+
+    const rangeLabel = (group) => {
+        const total = group.vectors === 'v' ? cols : rows;
+        if (group.range === 'first') {
+            return r === 0 ? 'none' : r === 1 ? `${group.vectors}₁` : `${group.vectors}₁ … ${group.vectors}${toSubscript(r)}`;
+        }
+        if (r === total) return 'none';
+        return r + 1 === total
+            ? `${group.vectors}${toSubscript(total)}`
+            : `${group.vectors}${toSubscript(r + 1)} … ${group.vectors}${toSubscript(total)}`;
+    };
+
+    return (
+        <div className="svd-section">
+            <h3>Singular Value Decomposition</h3>
+            <p className="svd-note">Computed in floating point (values rounded to 4 decimals)</p>
+
+            {!svd.rank_agrees && (
+                <div className="svd-warning">
+                    ⚠ Numerical rank {svd.numerical_rank} differs from the exact rank {svd.exact_rank}:
+                    {svd.numerical_rank < svd.exact_rank
+                        ? ' some nonzero singular values are below the tolerance '
+                        : ' rounding left singular values above the tolerance '}
+                    {svd.numerical_rank < svd.exact_rank
+                        ? `${svd.tolerance} and would be treated as zero by floating-point software.`
+                        : `${svd.tolerance} that are exactly zero.`}
+                </div>
+            )}
+
+            <div className="svd-values">
+                {svd.singular_values.map((sigma, idx) => (
+                    <div key={idx} className={`svd-value ${idx < r ? 'nonzero' : ''}`}>
+                        <LaTeXDisplay latex={`\\sigma_{${idx + 1}} = ${sigma.latex}`} />
+                    </div>
+                ))}
+            </div>
+
+            <div className="svd-factors">
+                <div className="svd-factor">
+                    <span className="svd-label">Left singular vectors</span>
+                    <LaTeXDisplay latex={`U = ${svd.U}`} />
+                </div>
+                <div className="svd-factor">
+                    <span className="svd-label">Singular values</span>
+                    <LaTeXDisplay latex={`\\Sigma = ${svd.Sigma}`} />
+                </div>
+                <div className="svd-factor">
+                    <span className="svd-label">Right singular vectors</span>
+                    <LaTeXDisplay latex={`V = ${svd.V}`} />
+                </div>
+            </div>
+
+            <table className="svd-table">
+                <thead>
+                    <tr>
+                        <th>Singular vectors</th>
+                        <th>Span</th>
+                        <th>Check against exact basis</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {SUBSPACE_GROUPS.map(group => {
+                        const check = svd.subspaces[group.key];
+                        return (
+                            <tr key={group.key}>
+                                <td>{rangeLabel(group)}</td>
+                                <td>{group.space}</td>
+                                <td>{check.spans ? '✓ spans the same subspace' : '✗ does not match'}</td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+    );
+});
+
+SVDDecomposition.displayName = 'SVDDecomposition';
+
+export default SVDDecomposition;
@@ -107,23 +107,21 @@ const MatrixCard = memo(function MatrixCard({ matrix, onOpen, onDelete }) {
                 <span className="matrix-dims">{matrix.rows}×{matrix.cols}</span>
             </div>
 
+            {/* Every entry is shown; large matrices scroll inside the preview */}
             <div className="matrix-preview">
                 <div
-                    className="matrix-grid"
+                    className={`matrix-grid ${Math.max(matrix.rows, matrix.cols) > UI_CONFIG.LARGE_GRID_THRESHOLD ? 'large' : ''}`}
                     style={{
-                        gridTemplateColumns: `repeat(${Math.min(matrix.cols, UI_CONFIG.MAX_PREVIEW_COLS)}, 1fr)`,
+                        gridTemplateColumns: `repeat(${matrix.cols}, auto)`,
                     }}
                 >
-                    {matrix.data?.slice(0, UI_CONFIG.MAX_PREVIEW_ROWS).map((row, i) => (
-                        row.slice(0, UI_CONFIG.MAX_PREVIEW_COLS).map((cell, j) => (
+                    {matrix.data?.map((row, i) => (
+                        row.map((cell, j) => (
                             <span key={`${i}-${j}`} className="matrix-cell">
                                 {formatMatrixCell(cell)}
                             </span>
                         ))
                     ))}
-                    {(matrix.rows > UI_CONFIG.MAX_PREVIEW_ROWS || matrix.cols > UI_CONFIG.MAX_PREVIEW_COLS) && (
-                        <span className="matrix-ellipsis">...</span>
-                    )}
                 </div>
             </div>
 
@@ -0,0 +1,214 @@
+import { useState, memo } from 'react';
+import LaTeXDisplay from './LaTeXDisplay';
+import { Matrix } from '../utils/rrefCalculator';
+import { SUBSPACES } from '../utils/basisGrader';
+import { compareSubspaces, ambientDimension } from '../utils/subspaceOperations';
+import { parseMatrixText } from '../utils/matrixUtils';
+import { vectorToLatex } from '../utils/formatUtils';
+import './SubspaceComparePage.css';
+
+const EMPTY_SOURCE = { source: 'typed', text: '' };
+
+/**
+ * Symbol of a subspace of the named matrix, e.g. N(Bᵀ)
+ */
+function subspaceSymbol(key, name) {
+    return SUBSPACES.find(option => option.key === key).symbol.replace('A', name);
+}
+
+/**
+ * The string matrix a source choice refers to
+ */
+function resolveMatrix({ source, text }, name, currentMatrix, savedMatrices) {
+    if (source === 'current') {
+        return currentMatrix;
+    }
+    if (source === 'typed') {
+        try {
+            return parseMatrixText(text);
+        } catch (error) {
+            throw new Error(`${name}: ${error.message}`);
+        }
+    }
+    const saved = savedMatrices.find(matrix => String(matrix.id) === source);
+    if (!saved) {
+        throw new Error(`${name}: saved matrix not found`);
+    }
+    return saved.data;
+}
+
+/**
+ * Choose a matrix: typed in, the one on the calculator page, or a saved one
+ */
+const MatrixSource = ({ name, value, onChange, currentMatrix, savedMatrices }) => (
+    <div className="compare-source">
+        <label htmlFor={`compare-source-${name}`}>Matrix {name}</label>
+        <select
+            id={`compare-source-${name}`}
+            value={value.source}
+            onChange={(e) => onChange({ ...value, source: e.target.value })}
+        >
+            <option value="typed">Type it in</option>
+            {currentMatrix && <option value="current">Current matrix ({currentMatrix.length} × {currentMatrix[0].length})</option>}
+            {savedMatrices.map(saved => (
+                <option key={saved.id} value={String(saved.id)}>{saved.name} ({saved.rows} × {saved.cols})</option>
+            ))}
+        </select>
+        {value.source === 'typed' && (
+            <textarea
+                rows={4}
+                value={value.text}
+                onChange={(e) => onChange({ ...value, text: e.target.value })}
+                placeholder={'1, 2, 0\n0, 1, 1'}
+                aria-label={`Entries of ${name}`}
+                spellCheck={false}
+            />
+        )}
+    </div>
+);
+
+const basisLatex = basis => basis.length === 0 ? '\\{0\\}' : basis.map(vectorToLatex).join(',\\; ');
+
+/**
+ * Page comparing the subspaces of two matrices A and B: for every pair that
+ * lives in the same ℝⁿ, the sum U + V and intersection U ∩ V (Zassenhaus)
+ */
+export const SubspaceComparePage = memo(function SubspaceComparePage({ currentMatrix, savedMatrices }) {
+    const [sourceA, setSourceA] = useState(() => (currentMatrix ? { ...EMPTY_SOURCE, source: 'current' } : EMPTY_SOURCE));
+    const [sourceB, setSourceB] = useState(EMPTY_SOURCE);
+    const [comparisons, setComparisons] = useState(null);
+    const [selected, setSelected] = useState(0);
+    const [error, setError] = useState(null);
+
+    const handleCompare = () => {
+        try {
+            const A = new Matrix(resolveMatrix(sourceA, 'A', currentMatrix, savedMatrices));
+            const B = new Matrix(resolveMatrix(sourceB, 'B', currentMatrix, savedMatrices));
+
+            // Only subspaces of the same ℝⁿ can be combined
+            const pairs = SUBSPACES.flatMap(({ key: keyU }) => SUBSPACES.map(({ key: keyV }) => ({ keyU, keyV })))
+                .filter(({ keyU, keyV }) => ambientDimension(A, keyU) === ambientDimension(B, keyV))
+                .map(({ keyU, keyV }) => ({ keyU, keyV, ...compareSubspaces(A, keyU, B, keyV) }));
+
+            if (pairs.length === 0) {
+                throw new Error(`No subspace of A (${A.rows} × ${A.cols}) lives in the same space as one of B (${B.rows} × ${B.cols})`);
+            }
+            setComparisons(pairs);
+            setSelected(0);
+            setError(null);
+        } catch (err) {
+            setComparisons(null);
+            setError(err.message);
+        }
+    };
+
+    const current = comparisons?.[selected];
+
+    return (
+        <main className="main-content compare-page">
+            <section className="input-section">
+                <h2>Sum &amp; Intersection of Subspaces</h2>
+                <p className="subtitle">
+                    Pick two matrices to compare their subspaces. Type one row per line, entries separated by commas or spaces.
+                </p>
+
+                <div className="compare-sources">
+                    <MatrixSource name="A" value={sourceA} onChange={setSourceA} currentMatrix={currentMatrix} savedMatrices={savedMatrices} />
+                    <MatrixSource name="B" value={sourceB} onChange={setSourceB} currentMatrix={currentMatrix} savedMatrices={savedMatrices} />
+                </div>
+
+                <div className="compare-actions">
+                    <button type="button" className="btn btn-primary" onClick={handleCompare}>
+                        Compare
+                    </button>
+                </div>
+            </section>
+
+            {error && (
+                <div className="error-message">
+                    <span className="error-icon">⚠</span>
+                    {error}
+                </div>
+            )}
+
+            {comparisons && (
+                <section className="compare-results">
+                    <table className="compare-table">
+                        <thead>
+                            <tr>
+                                <th>U</th>
+                                <th>V</th>
+                                <th>dim U</th>
+                                <th>dim V</th>
+                                <th>dim(U + V)</th>
+                                <th>dim(U ∩ V)</th>
+                                <th>Check</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {comparisons.map((pair, idx) => (
+                                <tr
+                                    key={`${pair.keyU}-${pair.keyV}`}
+                                    className={idx === selected ? 'selected' : ''}
+                                    onClick={() => setSelected(idx)}
+                                >
+                                    <td>{subspaceSymbol(pair.keyU, 'A')}</td>
+                                    <td>{subspaceSymbol(pair.keyV, 'B')}</td>
+                                    <td>{pair.U.length}</td>
+                                    <td>{pair.V.length}</td>
+                                    <td>{pair.sum.length}</td>
+                                    <td>{pair.intersection.length}</td>
+                                    <td>{pair.verified ? '✓' : '✗'}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <p className="compare-hint">Click a row to see its bases.</p>
+
+                    {current && (
+                        <div className="compare-detail">
+                            <h3>
+                                U = {subspaceSymbol(current.keyU, 'A')}, V = {subspaceSymbol(current.keyV, 'B')} in ℝ<sup>{current.ambient}</sup>
+                            </h3>
+                            <div className="compare-basis">
+                                <span className="compare-label">Basis of U</span>
+                                <LaTeXDisplay latex={basisLatex(current.U)} />
+                            </div>
+                            <div className="compare-basis">
+                                <span className="compare-label">Basis of V</span>
+                                <LaTeXDisplay latex={basisLatex(current.V)} />
+                            </div>
+                            <div className="compare-basis">
+                                <span className="compare-label">Basis of U + V</span>
+                                <LaTeXDisplay latex={basisLatex(current.sum)} />
+                            </div>
+                            <div className="compare-basis">
+                                <span className="compare-label">Basis of U ∩ V</span>
+                                <LaTeXDisplay latex={basisLatex(current.intersection)} />
+                            </div>
+                            <div className={`compare-check ${current.verified ? 'verified' : ''}`}>
+                                <div>
+                                    Each U ∩ V vector lies in U and in V (rank test)
+                                    {current.checks.intersection ? ' ✓' : ' ✗'}
+                                </div>
+                                <div>
+                                    The U + V basis spans the same space as U and V together
+                                    {current.checks.sum ? ' ✓' : ' ✗'}
+                                </div>
+                                <div>
+                                    dim U + dim V − rank[U; V] = dim(U ∩ V):{' '}
+                                    {current.U.length} + {current.V.length} − {current.sum.length} = {current.intersection.length}
+                                    {current.checks.dimensions ? ' ✓' : ' ✗'}
+                                </div>
+                            </div>
+                            <p className="compare-hint">
+                                Found with the Zassenhaus algorithm: row-reduce [U U; V 0] built from both bases. Rows whose
+                                left half is nonzero span U + V; the right halves of the other nonzero rows span U ∩ V.
+                            </p>
+                        </div>
+                    )}
+                </section>
+            )}
+        </main>
+    );
+});
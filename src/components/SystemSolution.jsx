@@ -0,0 +1,80 @@
+import { memo } from 'react';
+import LaTeXDisplay from './LaTeXDisplay';
+import './SystemSolution.css';
+
+/**
+ * Displays the solution of Ax = b for augmented input
+ * Consistency is decided by the left null space condition yᵀb = 0
+ */
+const SystemSolution = memo(({ system }) => {
+    if (!system) return null;
+
+    return (
+        <div className="system-section">
+            <h3>Solving Ax = b</h3>
+
+            <div className="system-overview">
+                <div className="system-block">
+                    <span className="system-label">Right-hand side</span>
+                    <LaTeXDisplay latex={`\\mathbf{b} = ${system.rhs_latex}`} />
+                </div>
+                <div className="system-block">
+                    <span className="system-label">RREF of [A | b]</span>
+                    <LaTeXDisplay latex={system.augmented_rref_latex} />
+                </div>
+            </div>
+
+            <div className={`system-status ${system.consistent ? 'consistent' : 'inconsistent'}`}>
+                {system.consistent
+                    ? '✓ Consistent: b lies in the column space C(A)'
+                    : '✗ Inconsistent: b is not in the column space C(A)'}
+            </div>
+
+            <div className="system-checks">
+                <h4>Left null space test: yᵀb = 0 for every y in N(Aᵀ)</h4>
+                {system.checks.length === 0 ? (
+                    <p className="system-note">
+                        N(Aᵀ) is trivial, so every b in ℝ<sup>{system.rhs.length}</sup> is in C(A).
+                    </p>
+                ) : (
+                    <div className="check-list">
+                        {system.checks.map((check, idx) => (
+                            <div
+                                key={idx}
+                                className={`check-item ${system.failing?.index === idx ? 'failing' : ''}`}
+                            >
+                                <LaTeXDisplay latex={`\\mathbf{y}_{${idx + 1}}^T \\mathbf{b} = ${check.product_latex}`} />
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {system.consistent ? (
+                <div className="system-solution">
+                    <div className="system-block">
+                        <span className="system-label">Particular solution (free variables = 0)</span>
+                        <LaTeXDisplay latex={`\\mathbf{x}_p = ${system.particular.latex}`} />
+                    </div>
+                    <div className="system-block">
+                        <span className="system-label">Complete solution x = x<sub>p</sub> + N(A)</span>
+                        <LaTeXDisplay latex={system.general_latex} />
+                    </div>
+                </div>
+            ) : (
+                <div className="system-failure">
+                    <p>
+                        b fails against left null space vector y<sub>{system.failing.index + 1}</sub>:
+                    </p>
+                    <LaTeXDisplay
+                        latex={`\\mathbf{y}_{${system.failing.index + 1}} = ${system.failing.vector_latex}, \\quad \\mathbf{y}_{${system.failing.index + 1}}^T \\mathbf{b} = ${system.failing.product_latex} \\neq 0`}
+                    />
+                </div>
+            )}
+        </div>
+    );
+});
+
+SystemSolution.displayName = 'SystemSolution';
+
+export default SystemSolution;
@@ -2,21 +2,30 @@
  * Application constants
  */
 
+// MAX_DIMENSION is the single size limit shared by the input grid and the engine
 export const MATRIX_LIMITS = {
     MIN_DIMENSION: 1,
-    MAX_DIMENSION: 5,
+    MAX_DIMENSION: 12,
     DEFAULT_ROWS: 3,
     DEFAULT_COLS: 3,
 };
 
+// A least-squares fit has one row per data point, so points have their own
+// limit on the rows of the design matrix (its columns stay within MAX_DIMENSION)
+export const DATA_FIT_LIMITS = {
+    MAX_POINTS: 30,
+};
+
 export const UI_CONFIG = {
     MODAL_ANIMATION_DURATION: 300,
     DEBOUNCE_DELAY: 300,
-    MAX_PREVIEW_ROWS: 3,
-    MAX_PREVIEW_COLS: 5,
+    LARGE_GRID_THRESHOLD: 6,
+    GRID_ZOOM_LEVELS: [0.6, 0.8, 1],
 };
 
 export const ROUTES = {
     HOME: '/',
     SAVED: '/saved',
+    PRACTICE: '/practice',
+    COMPARE: '/compare',
 };
@@ -1,3 +1,4 @@
 export { useAuth } from './useAuth';
 export { useMatrix } from './useMatrix';
 export { useSavedMatrices } from './useSavedMatrices';
+export { usePracticeSession } from './usePracticeSession';
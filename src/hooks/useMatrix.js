@@ -1,15 +1,19 @@
-import { useState, useCallback, useEffect } from 'react';
-import { computeMatrix, getExamples } from '../utils/matrixComputation.js';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { getExamples } from '../utils/matrixComputation.js';
+import { createComputeClient } from '../workers/computeClient.js';
 
 /**
  * Hook for matrix computation and examples management
- * Uses local frontend computation - no backend required
+ * Uses local frontend computation in a Web Worker - no backend required
  */
 export function useMatrix() {
     const [results, setResults] = useState(null);
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
     const [examples, setExamples] = useState([]);
+    const [progress, setProgress] = useState(null);
+    const clientRef = useRef(null);
+    const latestJobRef = useRef(0);
 
     /**
      * Load example matrices from local data
@@ -24,36 +28,61 @@ export function useMatrix() {
     }, []);
 
     /**
-     * Compute fundamental spaces locally
+     * Compute fundamental spaces in the worker
+     * Pass options.rhs to also solve Ax = b
+     * Resolves with the results, or null on error or cancellation
      */
-    const handleCompute = useCallback((matrix) => {
+    const handleCompute = useCallback((matrix, options = {}) => {
         setIsLoading(true);
         setError(null);
+        setProgress(null);
 
-        // Return a promise for better async handling
-        return new Promise((resolve) => {
-            // Use setTimeout to prevent UI blocking
-            setTimeout(() => {
-                try {
-                    const result = computeMatrix(matrix);
+        if (!clientRef.current) {
+            clientRef.current = createComputeClient();
+        }
+
+        // A newer job cancels this one, which must then leave the state alone
+        const job = ++latestJobRef.current;
+        const isLatest = () => job === latestJobRef.current;
+
+        return clientRef.current.compute(matrix, options, (stage) => {
+            if (isLatest()) setProgress(stage);
+        })
+            .then((result) => {
+                if (result.cancelled) return null;
 
-                    if (result.success) {
-                        setResults(result.data);
-                        resolve(result.data);
-                    } else {
-                        setError(result.error);
-                        setResults(null);
-                        resolve(null);
-                    }
-                } catch (err) {
+                if (!isLatest()) return result.success ? result.data : null;
+
+                if (result.success) {
+                    setResults(result.data);
+                    return result.data;
+                }
+                setError(result.error);
+                setResults(null);
+                return null;
+            })
+            .catch((err) => {
+                if (isLatest()) {
                     setError(err.message || 'Computation failed');
                     setResults(null);
-                    resolve(null);
-                } finally {
+                }
+                return null;
+            })
+            .finally(() => {
+                if (isLatest()) {
                     setIsLoading(false);
+                    setProgress(null);
                 }
-            }, 100); // Small delay for smooth transition
-        });
+            });
+    }, []);
+
+    /**
+     * Cancel the running computation
+     */
+    const cancelCompute = useCallback(() => {
+        if (clientRef.current?.cancel()) {
+            setError('Computation cancelled');
+        }
     }, []);
 
     /**
@@ -69,6 +98,8 @@ export function useMatrix() {
      */
     useEffect(() => {
         return () => {
+            clientRef.current?.dispose();
+            clientRef.current = null;
             setResults(null);
             setError(null);
             setExamples([]);
@@ -80,7 +111,9 @@ export function useMatrix() {
         isLoading,
         error,
         examples,
+        progress,
         handleCompute,
+        cancelCompute,
         clearResults,
         fetchExamples,
     };
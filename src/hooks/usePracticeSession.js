@@ -0,0 +1,41 @@
+import { useState, useCallback, useEffect } from 'react';
+
+// Score survives reloads within the browser tab
+const STORAGE_KEY = 'spaces-practice-score';
+const EMPTY_SCORE = { problems: 0, correct: 0, total: 0 };
+
+function loadScore() {
+    try {
+        const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+        return stored && typeof stored.problems === 'number' ? stored : EMPTY_SCORE;
+    } catch {
+        return EMPTY_SCORE;
+    }
+}
+
+/**
+ * Hook for the practice session score
+ * Only the first check of each problem counts, so re-checking after reading
+ * the feedback does not inflate the score
+ */
+export function usePracticeSession() {
+    const [score, setScore] = useState(loadScore);
+
+    useEffect(() => {
+        sessionStorage.setItem(STORAGE_KEY, JSON.stringify(score));
+    }, [score]);
+
+    const recordAttempt = useCallback((correct, total) => {
+        setScore(prev => ({
+            problems: prev.problems + 1,
+            correct: prev.correct + correct,
+            total: prev.total + total
+        }));
+    }, []);
+
+    const resetScore = useCallback(() => {
+        setScore(EMPTY_SCORE);
+    }, []);
+
+    return { score, recordAttempt, resetScore };
+}
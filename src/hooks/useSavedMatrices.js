@@ -52,7 +52,7 @@ export function useSavedMatrices(user, handleCompute) {
         setSaveError('');
 
         try {
-            const matrixData = results.matrix.data;
+            const matrixData = results.matrix.exact;
             const { error } = await supabase.from('matrices').insert({
                 user_id: user.id,
                 name: saveMatrixName.trim(),
@@ -0,0 +1,212 @@
+/**
+ * Basis Grader
+ * Checks whether vectors typed by a student form a basis of one of the four
+ * subspaces. Any correct basis is accepted, not just the computed one.
+ */
+
+import { Matrix, computeRank } from './rrefCalculator.js';
+import { Fraction } from './fractionUtils.js';
+import { dotProduct } from './systemSolver.js';
+import { eliminate } from './eliminationPipeline.js';
+
+/**
+ * The four subspaces of an m×n matrix; size says whether their vectors have
+ * one entry per row (ℝᵐ) or per column (ℝⁿ)
+ */
+export const SUBSPACES = [
+    { key: 'column_space', name: 'Column space', symbol: 'C(A)', size: 'rows' },
+    { key: 'row_space', name: 'Row space', symbol: 'C(Aᵀ)', size: 'cols' },
+    { key: 'null_space', name: 'Null space', symbol: 'N(A)', size: 'cols' },
+    { key: 'left_null_space', name: 'Left null space', symbol: 'N(Aᵀ)', size: 'rows' }
+];
+
+/**
+ * Parse vectors typed one per line (or separated by semicolons)
+ * Entries are separated by commas, or by spaces when a line has no commas,
+ * and may be any number Fraction.fromString accepts. Brackets are ignored.
+ */
+export function parseVectorList(text) {
+    return text
+        .split(/[\n;]/)
+        .map(line => line.replace(/[[\]()]/g, '').trim())
+        .filter(line => line !== '')
+        .map((line, idx) => {
+            const entries = line.includes(',') ? line.split(',') : line.split(/\s+/);
+            try {
+                return entries.map(entry => Fraction.fromString(entry.trim()));
+            } catch (error) {
+                throw new Error(`Vector ${idx + 1}: ${error.message}`);
+            }
+        });
+}
+
+/**
+ * Dimension of a subspace and a test for membership in it
+ *
+ * C(A) is the orthogonal complement of N(Aᵀ) and C(Aᵀ) that of N(A), so a
+ * vector lies in a column or row space exactly when it is orthogonal to every
+ * basis vector of the matching null space.
+ */
+function describeSubspace(matrix, key) {
+    const { rank, nullSpace, leftNullSpace } = eliminate(matrix);
+    const isZero = vector => vector.every(val => val.isZero());
+    const orthogonalTo = basis => vector => basis.every(y => dotProduct(y, vector).isZero());
+
+    switch (key) {
+        case 'column_space':
+            return { dimension: rank, contains: orthogonalTo(leftNullSpace) };
+        case 'row_space':
+            return { dimension: rank, contains: orthogonalTo(nullSpace) };
+        case 'null_space':
+            return {
+                dimension: matrix.cols - rank,
+                contains: vector => isZero(matrix.data.map(row => dotProduct(row, vector)))
+            };
+        case 'left_null_space':
+            return {
+                dimension: matrix.rows - rank,
+                contains: vector => isZero(matrix.transpose().data.map(col => dotProduct(col, vector)))
+            };
+        default:
+            throw new Error(`Unknown subspace: ${key}`);
+    }
+}
+
+/**
+ * Grade a proposed basis of one subspace of a matrix
+ *
+ * The vectors form a basis exactly when they have the right length, all lie
+ * in the subspace, are linearly independent and there are as many of them as
+ * the subspace's dimension.
+ *
+ * Returns {
+ *   correct: boolean,
+ *   dimension: number,          // of the subspace
+ *   vectors: [{ validLength, inSubspace }],
+ *   independent: boolean,
+ *   dependentIndex: number | null,  // first vector in the span of the earlier ones
+ *   feedback: string[]
+ * }
+ */
+export function gradeBasis(matrix, key, vectors) {
+    const subspace = SUBSPACES.find(option => option.key === key);
+    if (!subspace) {
+        throw new Error(`Unknown subspace: ${key}`);
+    }
+
+    const size = subspace.size === 'rows' ? matrix.rows : matrix.cols;
+    const { dimension, contains } = describeSubspace(matrix, key);
+    const feedback = [];
+
+    const checked = vectors.map((vector, idx) => {
+        if (vector.length !== size) {
+            feedback.push(`Vector ${idx + 1} has ${vector.length} entries; vectors in ${subspace.symbol} have ${size}`);
+            return { validLength: false, inSubspace: false };
+        }
+        const inSubspace = contains(vector);
+        if (!inSubspace) {
+            feedback.push(`Vector ${idx + 1} is not in ${subspace.symbol}`);
+        }
+        return { validLength: true, inSubspace };
+    });
+
+    // First vector that adds nothing to the span of the ones before it
+    let dependentIndex = null;
+    if (checked.every(check => check.validLength)) {
+        for (let k = 0; k < vectors.length && dependentIndex === null; k++) {
+            if (computeRank(new Matrix(vectors.slice(0, k + 1))) < k + 1) {
+                dependentIndex = k;
+            }
+        }
+        if (dependentIndex !== null) {
+            feedback.push(vectors[dependentIndex].every(val => val.isZero())
+                ? `Vector ${dependentIndex + 1} is the zero vector, which is never part of a basis`
+                : `Vector ${dependentIndex + 1} is a combination of the vectors before it, so the vectors are dependent`);
+        }
+    }
+
+    if (vectors.length !== dimension) {
+        if (dimension === 0) {
+            feedback.push(`${subspace.symbol} contains only the zero vector, so its basis is empty`);
+        } else {
+            const given = `${vectors.length} vector${vectors.length === 1 ? '' : 's'}`;
+            feedback.push(`${subspace.symbol} has dimension ${dimension}, but you gave ${given}`);
+        }
+    }
+
+    const correct = feedback.length === 0;
+    if (correct) {
+        feedback.push(dimension === 0
+            ? `Correct: ${subspace.symbol} is just the zero vector`
+            : `Correct: a basis of ${subspace.symbol}`);
+    }
+
+    return {
+        correct,
+        dimension,
+        vectors: checked,
+        independent: dependentIndex === null && checked.every(check => check.validLength),
+        dependentIndex,
+        feedback
+    };
+}
+
+/**
+ * Check a set of vectors against a known basis of a subspace S
+ *
+ * Everything reduces to ranks: v lies in S when adding it to the basis keeps
+ * the rank at dim S, and the vectors span S when adding the basis to them
+ * does not raise their rank. The basis is usually one computeAllSpaces
+ * returned (its exact field).
+ *
+ * Returns {
+ *   dimension: number,              // dim S
+ *   rank: number,                   // dimension of the span of the vectors
+ *   outside: number[],              // indices of vectors not in S
+ *   inSubspace: boolean,
+ *   independent: boolean,
+ *   dependency: Fraction[] | null,  // nonzero c with Σ cᵢvᵢ = 0
+ *   spans: boolean,
+ *   missingDimension: number,       // dim S − dim(S ∩ span of the vectors)
+ *   missingVector: Fraction[] | null,  // basis vector of S outside their span
+ *   isBasis: boolean
+ * }
+ */
+export function verifyVectorSet(basis, vectors, size) {
+    const reference = basis.map(vector => vector.map(val => Fraction.from(val)));
+    const dimension = reference.length;
+
+    vectors.forEach((vector, idx) => {
+        if (vector.length !== size) {
+            throw new Error(`Vector ${idx + 1} has ${vector.length} entries, expected ${size}`);
+        }
+    });
+
+    const rankOf = list => list.length === 0 ? 0 : computeRank(new Matrix(list));
+
+    const outside = vectors
+        .map((vector, idx) => rankOf([...reference, vector]) > dimension ? idx : null)
+        .filter(idx => idx !== null);
+
+    const rank = rankOf(vectors);
+    const independent = rank === vectors.length;
+    // A dependency among the vectors is a left null vector of the matrix whose rows they are
+    const dependency = independent ? null : eliminate(new Matrix(vectors)).leftNullSpace[0];
+
+    const missingDimension = rankOf([...vectors, ...reference]) - rank;
+    const missingVector = reference.find(vector => rankOf([...vectors, vector]) > rank) ?? null;
+    const spans = missingDimension === 0;
+
+    return {
+        dimension,
+        rank,
+        outside,
+        inSubspace: outside.length === 0,
+        independent,
+        dependency,
+        spans,
+        missingDimension,
+        missingVector,
+        isBasis: outside.length === 0 && independent && spans
+    };
+}
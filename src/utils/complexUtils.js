@@ -0,0 +1,225 @@
+/**
+ * Complex numbers with exact Fraction parts (Gaussian rationals)
+ * Entries such as "1+2i" or "3/4 - i/2" are row-reduced exactly, like Fractions
+ */
+
+import { Fraction } from './fractionUtils.js';
+
+/**
+ * Wrap a Fraction (or anything Fraction.from accepts) as a Complex
+ */
+function lift(value) {
+    return value instanceof Complex ? value : new Complex(value);
+}
+
+/**
+ * LaTeX for a nonzero imaginary part, without its sign: "i", "2i", "\frac{1}{2}i"
+ */
+function imaginaryLatex(magnitude) {
+    return magnitude.equals(new Fraction(1)) ? 'i' : `${magnitude.toLatex()}i`;
+}
+
+/**
+ * Represents re + im·i with re and im exact Fractions
+ */
+export class Complex {
+    constructor(re, im = 0) {
+        this.re = Fraction.from(re);
+        this.im = Fraction.from(im);
+    }
+
+    /**
+     * Add a Complex or Fraction
+     */
+    add(other) {
+        const b = lift(other);
+        return new Complex(this.re.add(b.re), this.im.add(b.im));
+    }
+
+    /**
+     * Subtract a Complex or Fraction
+     */
+    subtract(other) {
+        const b = lift(other);
+        return new Complex(this.re.subtract(b.re), this.im.subtract(b.im));
+    }
+
+    /**
+     * Multiply by a Complex or Fraction: (a + bi)(c + di) = (ac − bd) + (ad + bc)i
+     */
+    multiply(other) {
+        const b = lift(other);
+        return new Complex(
+            this.re.multiply(b.re).subtract(this.im.multiply(b.im)),
+            this.re.multiply(b.im).add(this.im.multiply(b.re))
+        );
+    }
+
+    /**
+     * Divide by a Complex or Fraction, multiplying through by the conjugate
+     */
+    divide(other) {
+        const b = lift(other);
+        if (b.isZero()) {
+            throw new Error('Division by zero');
+        }
+        const product = this.multiply(b.conjugate());
+        const norm = b.normSquared();
+        return new Complex(product.re.divide(norm), product.im.divide(norm));
+    }
+
+    /**
+     * Negate the number
+     */
+    negate() {
+        return new Complex(this.re.negate(), this.im.negate());
+    }
+
+    /**
+     * Complex conjugate re − im·i
+     */
+    conjugate() {
+        return new Complex(this.re, this.im.negate());
+    }
+
+    /**
+     * |z|² = re² + im², an exact Fraction
+     */
+    normSquared() {
+        return this.re.multiply(this.re).add(this.im.multiply(this.im));
+    }
+
+    /**
+     * Check if the number is zero
+     */
+    isZero() {
+        return this.re.isZero() && this.im.isZero();
+    }
+
+    /**
+     * Check if the imaginary part is zero
+     */
+    isReal() {
+        return this.im.isZero();
+    }
+
+    /**
+     * Check equality with a Complex or Fraction
+     */
+    equals(other) {
+        if (!(other instanceof Complex) && !(other instanceof Fraction)) {
+            return false;
+        }
+        const b = lift(other);
+        return this.re.equals(b.re) && this.im.equals(b.im);
+    }
+
+    /**
+     * Convert to a decimal number
+     * Throws unless the number is real, as no JavaScript number represents it
+     */
+    toNumber() {
+        if (!this.isReal()) {
+            throw new Error(`${this.toString()} is not a real number`);
+        }
+        return this.re.toNumber();
+    }
+
+    /**
+     * Convert to display string, e.g. "1+2i", "3/4-1/2i", "-i"
+     * fromString reads it back
+     */
+    toString() {
+        if (this.im.isZero()) {
+            return this.re.toString();
+        }
+        const magnitude = this.im.abs();
+        const imaginary = magnitude.equals(new Fraction(1)) ? 'i' : `${magnitude.toString()}i`;
+        const sign = this.im.sign() < 0 ? '-' : '+';
+        if (this.re.isZero()) {
+            return sign === '-' ? `-${imaginary}` : imaginary;
+        }
+        return `${this.re.toString()}${sign}${imaginary}`;
+    }
+
+    /**
+     * Convert to LaTeX format, e.g. "1 + 2i", "\frac{3}{4} - \frac{1}{2}i"
+     */
+    toLatex() {
+        if (this.im.isZero()) {
+            return this.re.toLatex();
+        }
+        const imaginary = imaginaryLatex(this.im.abs());
+        const negative = this.im.sign() < 0;
+        if (this.re.isZero()) {
+            return negative ? `-${imaginary}` : imaginary;
+        }
+        return `${this.re.toLatex()} ${negative ? '-' : '+'} ${imaginary}`;
+    }
+
+    /**
+     * Create a complex number from a string
+     * Accepts sums of real terms (anything Fraction.fromString reads) and
+     * imaginary terms "i", "2i", "2*i", "1/2i", "i/2": "1+2i", "3/4 - i/2", "-i"
+     */
+    static fromString(str) {
+        const trimmed = str.trim();
+        // Split before each + or - that is not a leading sign or an exponent sign
+        const terms = trimmed.split(/(?<=[^eE+\-\s])\s*(?=[+-])/);
+        let value = new Complex(0);
+
+        try {
+            for (const term of terms) {
+                const [, sign, body] = /^([+-]?)\s*(.*)$/.exec(term);
+                const imaginary = /^(.*?)\s*\*?\s*i(?:\s*\/\s*(.+))?$/.exec(body);
+                let part;
+                if (imaginary) {
+                    const [, coefficient, divisor] = imaginary;
+                    let magnitude = coefficient === '' ? new Fraction(1) : Fraction.fromString(coefficient);
+                    if (divisor !== undefined) {
+                        magnitude = magnitude.divide(Fraction.fromString(divisor));
+                    }
+                    part = new Complex(0, magnitude);
+                } else {
+                    part = new Complex(Fraction.fromString(body));
+                }
+                value = sign === '-' ? value.subtract(part) : value.add(part);
+            }
+        } catch {
+            throw new Error(`Invalid complex number: ${str}`);
+        }
+
+        return value;
+    }
+
+    /**
+     * Create a complex number from a Complex, Fraction, number, BigInt or string
+     */
+    static from(value) {
+        if (value instanceof Complex) {
+            return value;
+        }
+        if (typeof value === 'string') {
+            return Complex.fromString(value);
+        }
+        return new Complex(Fraction.from(value));
+    }
+}
+
+/**
+ * Check if a string is written with the imaginary unit i
+ */
+export function isComplexLiteral(value) {
+    return typeof value === 'string' && value.includes('i');
+}
+
+/**
+ * Parse a matrix entry: a Complex when it is one (or is written with i),
+ * otherwise a Fraction
+ */
+export function parseScalar(value) {
+    if (value instanceof Complex) {
+        return value;
+    }
+    return isComplexLiteral(value) ? Complex.fromString(value) : Fraction.from(value);
+}
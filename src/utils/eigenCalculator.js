@@ -0,0 +1,147 @@
+/**
+ * Eigenvalue Calculator
+ * Characteristic polynomial over exact Fractions, rational eigenvalues found
+ * exactly and eigenspaces computed as null spaces of A − λI
+ */
+
+import { Matrix } from './rrefCalculator.js';
+import { Fraction } from './fractionUtils.js';
+import { Polynomial, findRoots } from './polynomial.js';
+import { computeNullSpace } from './spaceCalculator.js';
+import { formatBasis, complexToLatex } from './formatUtils.js';
+
+// Relative size below which an approximate imaginary part counts as zero
+const REAL_TOLERANCE = 1e-9;
+
+/**
+ * Characteristic polynomial p(λ) = det(λI − A) by the Faddeev–LeVerrier method
+ *
+ * With M₀ = 0 and cₙ = 1, for k = 1..n:
+ *   Mₖ = A·Mₖ₋₁ + cₙ₋ₖ₊₁·I,  cₙ₋ₖ = −tr(A·Mₖ) / k
+ */
+export function characteristicPolynomial(matrix) {
+    if (matrix.rows !== matrix.cols) {
+        throw new Error('Characteristic polynomial requires a square matrix');
+    }
+
+    const n = matrix.rows;
+    const coefficients = Array(n + 1).fill(null).map(() => new Fraction(0));
+    coefficients[n] = new Fraction(1);
+
+    let M = new Matrix(Array(n).fill(null).map(() => Array(n).fill(0)));
+
+    for (let k = 1; k <= n; k++) {
+        M = matrix.multiply(M);
+        for (let i = 0; i < n; i++) {
+            M.data[i][i] = M.data[i][i].add(coefficients[n - k + 1]);
+        }
+
+        const AM = matrix.multiply(M);
+        let trace = new Fraction(0);
+        for (let i = 0; i < n; i++) {
+            trace = trace.add(AM.get(i, i));
+        }
+        coefficients[n - k] = trace.negate().divide(new Fraction(k));
+    }
+
+    return new Polynomial(coefficients);
+}
+
+/**
+ * A − λI for an exact eigenvalue λ
+ */
+function shiftMatrix(matrix, lambda) {
+    const shifted = matrix.clone();
+    for (let i = 0; i < matrix.rows; i++) {
+        shifted.data[i][i] = shifted.data[i][i].subtract(lambda);
+    }
+    return shifted;
+}
+
+/**
+ * Full eigen-analysis of a square matrix
+ *
+ * A is diagonalizable over ℂ exactly when its minimal polynomial has no
+ * repeated roots, i.e. when the square-free part p / gcd(p, p′) of the
+ * characteristic polynomial annihilates A. Over ℝ every eigenvalue must
+ * also be real.
+ *
+ * Returns {
+ *   polynomial: Polynomial,
+ *   eigenvalues: [{ exact, re, im, algebraic, geometric, eigenspace }],
+ *   diagonalizable: { complex: boolean, real: boolean }
+ * }
+ */
+export function computeEigen(matrix) {
+    const polynomial = characteristicPolynomial(matrix);
+
+    const squareFree = polynomial.divmod(polynomial.gcd(polynomial.derivative())).quotient;
+    const diagonalizableOverC = squareFree.evaluateMatrix(matrix).data
+        .every(row => row.every(val => val.isZero()));
+
+    const eigenvalues = findRoots(polynomial).map(root => {
+        if (root.exact) {
+            const eigenspace = computeNullSpace(shiftMatrix(matrix, root.exact));
+            return {
+                exact: root.exact,
+                re: root.re,
+                im: 0,
+                algebraic: root.multiplicity,
+                geometric: eigenspace.length,
+                eigenspace
+            };
+        }
+
+        // Simple roots always have a one-dimensional eigenspace; repeated ones
+        // match their algebraic multiplicity only when A is diagonalizable
+        const known = root.multiplicity === 1 || diagonalizableOverC;
+        return {
+            exact: null,
+            re: root.re,
+            im: root.im,
+            algebraic: root.multiplicity,
+            geometric: known ? root.multiplicity : null,
+            eigenspace: null
+        };
+    });
+
+    eigenvalues.sort((a, b) => (b.re - a.re) || (b.im - a.im));
+
+    const allReal = eigenvalues.every(ev =>
+        Math.abs(ev.im) <= REAL_TOLERANCE * Math.max(1, Math.abs(ev.re))
+    );
+
+    return {
+        polynomial,
+        eigenvalues,
+        diagonalizable: {
+            complex: diagonalizableOverC,
+            real: diagonalizableOverC && allReal
+        }
+    };
+}
+
+/**
+ * Format the eigen-analysis for output
+ */
+export function formatEigen(analysis) {
+    return {
+        characteristic_polynomial: analysis.polynomial.toLatex('\\lambda'),
+        eigenvalues: analysis.eigenvalues.map(ev => {
+            const eigenspace = ev.eigenspace && formatBasis(ev.eigenspace);
+            return {
+                exact: Boolean(ev.exact),
+                latex: ev.exact ? ev.exact.toLatex() : complexToLatex(ev.re, ev.im),
+                value: ev.re,
+                imaginary: ev.im,
+                algebraic: ev.algebraic,
+                geometric: ev.geometric,
+                eigenspace: eigenspace && {
+                    basis: eigenspace.basis,
+                    latex: eigenspace.latex
+                }
+            };
+        }),
+        diagonalizable: analysis.diagonalizable
+    };
+}
@@ -0,0 +1,157 @@
+/**
+ * Single-Pass Elimination Pipeline
+ * One Gauss–Jordan elimination of [A | I] yields the pivots, the RREF,
+ * the null space and the left null space. Results are memoized per matrix.
+ */
+
+import { Matrix, computeRREF, DEFAULT_PIVOT_STRATEGY } from './rrefCalculator.js';
+import { Fraction } from './fractionUtils.js';
+import { Complex } from './complexUtils.js';
+
+// Most recently used eliminations kept in memory
+const CACHE_LIMIT = 16;
+const cache = new Map();
+
+/**
+ * Cache key from the exact entries of a matrix
+ */
+function matrixKey(matrix) {
+    return `${matrix.rows}x${matrix.cols}:` + matrix.data.map(row => row.map(f => f.toString()).join(',')).join(';');
+}
+
+function cacheGet(key) {
+    const hit = cache.get(key);
+    if (hit) {
+        // Refresh recency
+        cache.delete(key);
+        cache.set(key, hit);
+    }
+    return hit;
+}
+
+function cacheSet(key, value) {
+    cache.set(key, value);
+    if (cache.size > CACHE_LIMIT) {
+        cache.delete(cache.keys().next().value);
+    }
+}
+
+/**
+ * Clear memoized eliminations
+ */
+export function clearEliminationCache() {
+    cache.clear();
+}
+
+/**
+ * Special solutions of Rx = 0 for an RREF matrix R with the given pivots:
+ * one basis vector per free column, with that free variable set to 1
+ */
+export function nullSpaceFromRREF(rref, pivots) {
+    const n = rref.cols;
+    const pivotSet = new Set(pivots);
+    const basis = [];
+
+    for (let freeVar = 0; freeVar < n; freeVar++) {
+        if (pivotSet.has(freeVar)) continue;
+
+        const vector = Array(n).fill(null).map(() => new Fraction(0));
+        vector[freeVar] = new Fraction(1);
+
+        // Each pivot variable is minus the free column entry in its row
+        pivots.forEach((pivotCol, row) => {
+            vector[pivotCol] = rref.get(row, freeVar).negate();
+        });
+
+        basis.push(vector);
+    }
+
+    return basis;
+}
+
+/**
+ * Reduce [A | I] to [R | E] with pivots taken from A only
+ *
+ * Every row operation is applied to I as well, so E records them all and
+ * EA = R. Rows of R below the rank are zero, so the matching rows of E
+ * satisfy yᵀA = 0: the last m − r rows of E are a basis of N(Aᵀ) (they are
+ * independent because E is invertible). For a complex matrix the left null
+ * space is N(Aᴴ), the y with yᴴA = 0, so those rows are conjugated.
+ *
+ * The recorded operations match those of computeRREF(A, true), since pivots
+ * are chosen from the columns of A alone. options.strategy selects the
+ * pivoting strategy (see PIVOT_STRATEGIES) and options.twoPhase splits the
+ * reduction into forward (REF) and backward (RREF) phases. With
+ * options.snapshots = false the operations carry only their params, without
+ * the matrices before and after each step.
+ *
+ * Row k < r of R is original row rowOrder[k] plus multiples of the other
+ * pivot rows, and later rows only ever receive multiples of pivot rows. So the
+ * original rows rowOrder[0..r−1] span the row space and, being r of them, are
+ * independent. The first r rows of A need not be: row 2 may be a multiple of
+ * row 1.
+ *
+ * Returns {
+ *   rref: Matrix, ref: Matrix | null, E: Matrix, pivots: number[], rank: number,
+ *   operations: Operation[] | null,  // on [A | I]
+ *   columnSpace, nullSpace, leftNullSpace: Fraction[][],
+ *   rowSpace: {
+ *     rref: { basis, sources },      // nonzero rows of R, sources[k] = rowOrder[k]
+ *     original: { basis, sources }   // independent rows of A, in row order
+ *   }
+ * }
+ */
+export function eliminate(matrix, trackOperations = false, options = {}) {
+    const strategy = options.strategy ?? DEFAULT_PIVOT_STRATEGY;
+    const twoPhase = Boolean(options.twoPhase);
+    const snapshots = trackOperations && options.snapshots !== false;
+    const key = `${strategy}|${twoPhase ? 'two-phase' : 'single'}|${matrixKey(matrix)}`;
+
+    // How much was recorded: 0 no operations, 1 their params, 2 snapshots too.
+    // A cached elimination answers requests that need no more, and is
+    // replaced by one that records more
+    const detail = trackOperations ? (snapshots ? 2 : 1) : 0;
+    const cached = cacheGet(key);
+    if (cached && cached.detail >= detail) return cached.result;
+
+    const m = matrix.rows;
+    const n = matrix.cols;
+    const identity = Matrix.identity(m);
+    const augmented = new Matrix(matrix.data.map((row, i) => [...row, ...identity.data[i]]));
+
+    const { rref: reduced, ref: echelon, pivots, rowOrder, operations } = computeRREF(
+        augmented, trackOperations, { pivotColumns: n, strategy, twoPhase, snapshots }
+    );
+    const rref = reduced.sliceColumns(0, n);
+    const E = reduced.sliceColumns(n);
+    const rank = pivots.length;
+    const pivotSources = rowOrder.slice(0, rank);
+    const originalSources = [...pivotSources].sort((a, b) => a - b);
+
+    const result = {
+        rref,
+        ref: echelon && echelon.sliceColumns(0, n),
+        E,
+        pivots,
+        rank,
+        operations,
+        columnSpace: pivots.map(col => matrix.data.map(row => row[col])),
+        nullSpace: nullSpaceFromRREF(rref, pivots),
+        leftNullSpace: E.data.slice(rank).map(row =>
+            row.map(val => (val instanceof Complex ? val.conjugate() : val))
+        ),
+        rowSpace: {
+            rref: {
+                basis: rref.data.slice(0, rank).map(row => [...row]),
+                sources: pivotSources
+            },
+            original: {
+                basis: originalSources.map(row => [...matrix.data[row]]),
+                sources: originalSources
+            }
+        }
+    };
+
+    cacheSet(key, { detail, result });
+    return result;
+}
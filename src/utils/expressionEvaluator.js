@@ -0,0 +1,430 @@
+/**
+ * Matrix Expression Evaluator
+ * Evaluates expressions such as A*B^T + 2*I, A^-1, A^3, transpose(A) and
+ * rref(A) over named matrices in exact Fraction arithmetic
+ */
+
+import { Matrix, computeRREF } from './rrefCalculator.js';
+import { Fraction } from './fractionUtils.js';
+import { computeDeterminantAndInverse } from './inverseCalculator.js';
+
+// I is the identity of whatever size its neighbours need
+const IDENTITY_NAME = 'I';
+const FUNCTIONS = ['transpose', 'rref', 'inv'];
+
+/**
+ * Error pointing at a 0-based position in the expression
+ * The message gives the position 1-based, as people count characters
+ */
+function expressionError(message, position) {
+    const error = new Error(`${message} (at position ${position + 1})`);
+    error.position = position;
+    return error;
+}
+
+/**
+ * Split an expression into numbers, names, operators and parentheses
+ * Names are identifiers or anything in double quotes, e.g. "Matrix #1"
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const rest = text.slice(i);
+        const space = /^\s+/.exec(rest);
+        const number = /^\d+(\.\d+)?/.exec(rest);
+        const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest);
+
+        if (space) {
+            i += space[0].length;
+        } else if (number) {
+            tokens.push({ type: 'number', value: number[0], position: i });
+            i += number[0].length;
+        } else if (name) {
+            tokens.push({ type: 'name', value: name[0], position: i });
+            i += name[0].length;
+        } else if (rest[0] === '"') {
+            const end = text.indexOf('"', i + 1);
+            if (end === -1) {
+                throw expressionError('Missing closing quote', i);
+            }
+            tokens.push({ type: 'name', value: text.slice(i + 1, end), position: i, quoted: true });
+            i = end + 1;
+        } else if ('+-*/^(),'.includes(rest[0])) {
+            tokens.push({ type: rest[0], value: rest[0], position: i });
+            i += 1;
+        } else {
+            throw expressionError(`Unexpected character "${rest[0]}"`, i);
+        }
+    }
+
+    tokens.push({ type: 'end', value: '', position: text.length });
+    return tokens;
+}
+
+const scalar = value => ({ kind: 'scalar', value });
+const matrix = value => ({ kind: 'matrix', value });
+// c·I with the size left open until it meets a matrix
+const identity = value => ({ kind: 'identity', value });
+
+const shape = m => `${m.rows}×${m.cols}`;
+
+/**
+ * Describe a value for error messages
+ */
+function describe(operand) {
+    if (operand.kind === 'matrix') {
+        return `a ${shape(operand.value)} matrix`;
+    }
+    return operand.kind === 'identity' ? 'I' : 'a number';
+}
+
+/**
+ * a + sign·b
+ */
+function addValues(a, b, sign, position) {
+    const verb = sign > 0 ? 'add' : 'subtract';
+    const signed = operand => (sign > 0 ? operand : operand.negate());
+
+    if (a.kind === 'scalar' && b.kind === 'scalar') {
+        return scalar(a.value.add(signed(b.value)));
+    }
+    if (a.kind === 'identity' && b.kind === 'identity') {
+        return identity(a.value.add(signed(b.value)));
+    }
+    if (a.kind === 'matrix' && b.kind === 'matrix') {
+        if (a.value.rows !== b.value.rows || a.value.cols !== b.value.cols) {
+            throw expressionError(`Cannot ${verb} ${shape(a.value)} and ${shape(b.value)}: the sizes must match`, position);
+        }
+        return matrix(sign > 0 ? a.value.add(b.value) : a.value.subtract(b.value));
+    }
+    if (a.kind === 'scalar' || b.kind === 'scalar') {
+        throw expressionError(`Cannot ${verb} ${describe(a)} and ${describe(b)}; scale the identity instead, e.g. 2*I`, position);
+    }
+
+    // One matrix and one multiple of I
+    const m = a.kind === 'matrix' ? a.value : b.value;
+    if (m.rows !== m.cols) {
+        throw expressionError(`Cannot ${verb} I and a ${shape(m)} matrix: it is not square`, position);
+    }
+    const multipleOfI = Matrix.identity(m.rows).scale(a.kind === 'identity' ? a.value : b.value);
+    if (a.kind === 'matrix') {
+        return matrix(sign > 0 ? m.add(multipleOfI) : m.subtract(multipleOfI));
+    }
+    return matrix(sign > 0 ? multipleOfI.add(m) : multipleOfI.subtract(m));
+}
+
+/**
+ * a · b
+ */
+function multiplyValues(a, b, position) {
+    if (a.kind === 'matrix' && b.kind === 'matrix') {
+        if (a.value.cols !== b.value.rows) {
+            throw expressionError(
+                `Cannot multiply ${shape(a.value)} by ${shape(b.value)}: the left factor has ${a.value.cols} column${a.value.cols === 1 ? '' : 's'} but the right has ${b.value.rows} row${b.value.rows === 1 ? '' : 's'}`,
+                position
+            );
+        }
+        return matrix(a.value.multiply(b.value));
+    }
+    if (a.kind === 'matrix') {
+        return matrix(a.value.scale(b.value));
+    }
+    if (b.kind === 'matrix') {
+        return matrix(b.value.scale(a.value));
+    }
+    // Numbers and multiples of I
+    const product = a.value.multiply(b.value);
+    return a.kind === 'identity' || b.kind === 'identity' ? identity(product) : scalar(product);
+}
+
+/**
+ * a / b, where b must be a nonzero number
+ */
+function divideValues(a, b, position) {
+    if (b.kind !== 'scalar') {
+        throw expressionError(`Cannot divide by ${describe(b)}; use ^-1 for an inverse`, position);
+    }
+    if (b.value.isZero()) {
+        throw expressionError('Division by zero', position);
+    }
+    return multiplyValues(a, scalar(new Fraction(1).divide(b.value)), position);
+}
+
+/**
+ * Inverse of a square matrix, or an error when it is singular
+ */
+function inverseOf(m, position) {
+    if (m.rows !== m.cols) {
+        throw expressionError(`A ${shape(m)} matrix has no inverse: it is not square`, position);
+    }
+    const { inverse } = computeDeterminantAndInverse(m);
+    if (!inverse) {
+        throw expressionError('The matrix is singular, so it has no inverse', position);
+    }
+    return inverse;
+}
+
+/**
+ * base^k for an integer k; negative powers invert first
+ */
+function powerValue(base, k, position) {
+    if (base.kind === 'matrix') {
+        if (base.value.rows !== base.value.cols) {
+            throw expressionError(`Cannot raise a ${shape(base.value)} matrix to a power: it is not square`, position);
+        }
+        const m = k < 0 ? inverseOf(base.value, position) : base.value;
+        return matrix(m.power(Math.abs(k)));
+    }
+
+    // Repeated squaring, as for matrices
+    let result = new Fraction(1);
+    let square = base.value;
+    for (let e = Math.abs(k); e > 0; e = Math.floor(e / 2)) {
+        if (e % 2 === 1) {
+            result = result.multiply(square);
+        }
+        if (e > 1) {
+            square = square.multiply(square);
+        }
+    }
+    if (k < 0) {
+        if (result.isZero()) {
+            throw expressionError('Division by zero', position);
+        }
+        result = new Fraction(1).divide(result);
+    }
+    return base.kind === 'identity' ? identity(result) : scalar(result);
+}
+
+/**
+ * Apply transpose, rref or inv
+ */
+function applyFunction(name, argument, position) {
+    if (name === 'transpose') {
+        return argument.kind === 'matrix' ? matrix(argument.value.transpose()) : argument;
+    }
+    if (argument.kind !== 'matrix') {
+        throw expressionError(`${name} needs a matrix, not ${describe(argument)}`, position);
+    }
+    if (name === 'rref') {
+        return matrix(computeRREF(argument.value).rref);
+    }
+    return matrix(inverseOf(argument.value, position));
+}
+
+/**
+ * Recursive-descent parser that evaluates as it goes
+ *
+ *   expression := term (('+' | '-') term)*
+ *   term       := unary (('*' | '/') unary)*
+ *   unary      := ('-' | '+') unary | power
+ *   power      := primary ('^' exponent)?
+ *   exponent   := atom ('^' exponent)?      right-associative: 2^3^2 = 2^9
+ *   atom       := 'T' | '-'? integer | '(' '-'? integer ')'
+ *   primary    := number | name | function '(' expression ')' | '(' expression ')'
+ *
+ * names maps each name to a Matrix or anything the Matrix constructor
+ * accepts; a name is only converted when the expression uses it.
+ */
+function createParser(tokens, names) {
+    let index = 0;
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const matrices = new Map();
+
+    const lookup = (name, position) => {
+        if (!matrices.has(name)) {
+            const value = names[name];
+            try {
+                matrices.set(name, value instanceof Matrix ? value : new Matrix(value));
+            } catch (error) {
+                throw expressionError(`Matrix "${name}" cannot be used in an expression: ${error.message}`, position);
+            }
+        }
+        return matrices.get(name);
+    };
+
+    const expect = (type) => {
+        const token = next();
+        if (token.type !== type) {
+            throw expressionError(
+                token.type === 'end' ? `Expected "${type}" before the end` : `Expected "${type}" but found "${token.value}"`,
+                token.position
+            );
+        }
+        return token;
+    };
+
+    function parseExpression() {
+        let left = parseTerm();
+        while (peek().type === '+' || peek().type === '-') {
+            const operator = next();
+            left = addValues(left, parseTerm(), operator.type === '+' ? 1 : -1, operator.position);
+        }
+        return left;
+    }
+
+    function parseTerm() {
+        let left = parseUnary();
+        while (peek().type === '*' || peek().type === '/') {
+            const operator = next();
+            const right = parseUnary();
+            left = operator.type === '*'
+                ? multiplyValues(left, right, operator.position)
+                : divideValues(left, right, operator.position);
+        }
+        return left;
+    }
+
+    function parseUnary() {
+        if (peek().type === '-') {
+            const operator = next();
+            return multiplyValues(scalar(new Fraction(-1)), parseUnary(), operator.position);
+        }
+        if (peek().type === '+') {
+            next();
+            return parseUnary();
+        }
+        return parsePower();
+    }
+
+    function parseExponentAtom() {
+        const token = peek();
+        if (token.type === 'name' && token.value === 'T' && !token.quoted) {
+            next();
+            return 'T';
+        }
+
+        const parenthesized = token.type === '(';
+        if (parenthesized) {
+            next();
+        }
+        const negative = peek().type === '-';
+        if (negative) {
+            next();
+        }
+        const number = next();
+        if (number.type !== 'number' || number.value.includes('.')) {
+            throw expressionError('The exponent must be T or a whole number', number.position);
+        }
+        if (parenthesized) {
+            expect(')');
+        }
+        return (negative ? -1 : 1) * Number(number.value);
+    }
+
+    function parseExponent() {
+        const exponent = parseExponentAtom();
+        if (peek().type !== '^') {
+            return exponent;
+        }
+
+        const operator = next();
+        const power = parseExponent();
+        if (exponent === 'T') {
+            throw expressionError('T cannot be raised to a power; use parentheses, e.g. (A^T)^2', operator.position);
+        }
+        // A number is its own transpose
+        if (power === 'T') {
+            return exponent;
+        }
+        // Only ±1 stay whole under negative powers
+        if (power < 0 && Math.abs(exponent) !== 1) {
+            throw expressionError('The exponent must be T or a whole number', operator.position);
+        }
+        const value = exponent ** power;
+        if (!Number.isSafeInteger(value)) {
+            throw expressionError('The exponent is too large', operator.position);
+        }
+        return value;
+    }
+
+    function parsePower() {
+        const base = parsePrimary();
+        if (peek().type !== '^') {
+            return base;
+        }
+        const operator = next();
+        const exponent = parseExponent();
+        return exponent === 'T'
+            ? applyFunction('transpose', base, operator.position)
+            : powerValue(base, exponent, operator.position);
+    }
+
+    function parsePrimary() {
+        const token = next();
+
+        if (token.type === 'number') {
+            return scalar(Fraction.fromString(token.value));
+        }
+        if (token.type === '(') {
+            const value = parseExpression();
+            expect(')');
+            return value;
+        }
+        if (token.type === 'name') {
+            if (!token.quoted && FUNCTIONS.includes(token.value)) {
+                expect('(');
+                const argument = parseExpression();
+                expect(')');
+                return applyFunction(token.value, argument, token.position);
+            }
+            if (!token.quoted && token.value === IDENTITY_NAME && !(IDENTITY_NAME in names)) {
+                return identity(new Fraction(1));
+            }
+            if (!(token.value in names)) {
+                const available = Object.keys(names);
+                throw expressionError(
+                    `Unknown matrix "${token.value}"${available.length > 0 ? `; available: ${available.join(', ')}` : ''}`,
+                    token.position
+                );
+            }
+            return matrix(lookup(token.value, token.position));
+        }
+        if (token.type === 'end') {
+            throw expressionError('The expression ends too early', token.position);
+        }
+        throw expressionError(`Unexpected "${token.value}"`, token.position);
+    }
+
+    return {
+        parse() {
+            const value = parseExpression();
+            const token = peek();
+            if (token.type !== 'end') {
+                throw expressionError(`Unexpected "${token.value}"`, token.position);
+            }
+            return value;
+        }
+    };
+}
+
+/**
+ * Evaluate a matrix expression
+ *
+ * names maps each name to a Matrix (or anything the Matrix constructor
+ * accepts); only the names the expression uses need to be valid matrices.
+ * Supports + - * /, ^T, integer powers (negative ones invert; ^ is
+ * right-associative), transpose(), rref(), inv() and I for the identity.
+ * Errors carry the 0-based position of the offending operator in
+ * error.position.
+ *
+ * Returns the resulting Matrix
+ */
+export function evaluateExpression(text, names = {}) {
+    if (text.trim() === '') {
+        throw new Error('Enter an expression');
+    }
+
+    const result = createParser(tokenize(text), names).parse();
+
+    if (result.kind === 'scalar') {
+        throw new Error(`The expression is the number ${result.value.toString()}, not a matrix`);
+    }
+    if (result.kind === 'identity') {
+        throw new Error('The size of I is unknown here; combine it with a matrix, e.g. A + I');
+    }
+    return result.value;
+}
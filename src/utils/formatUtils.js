@@ -0,0 +1,84 @@
+/**
+ * Formatting helpers shared by the computation modules
+ * Turn exact Fraction vectors into numbers and LaTeX for the results view
+ */
+
+import { Fraction } from './fractionUtils.js';
+import { Complex } from './complexUtils.js';
+
+/**
+ * Format a vector as LaTeX
+ * Entries may be Fractions, Surds or anything Fraction.from accepts
+ */
+export function vectorToLatex(vector) {
+    const elements = vector.map(f => {
+        if (typeof f?.toLatex === 'function') {
+            return f.toLatex();
+        }
+        const frac = Fraction.from(f);
+        return frac.toLatex();
+    }).join(' \\\\ ');
+
+    return `\\begin{bmatrix} ${elements} \\end{bmatrix}`;
+}
+
+/**
+ * Format a matrix given as rows of entries (Fractions, Surds, ...) as LaTeX
+ * Pass splitRow to draw a horizontal line above that row
+ */
+export function matrixToLatex(rows, splitRow = null) {
+    const lines = rows.map(row =>
+        row.map(f => (typeof f?.toLatex === 'function' ? f : Fraction.from(f)).toLatex()).join(' & ')
+    );
+
+    if (splitRow !== null && splitRow > 0 && splitRow < rows.length) {
+        const spec = 'c'.repeat(rows[0].length);
+        const body = `${lines.slice(0, splitRow).join(' \\\\ ')} \\\\ \\hline ${lines.slice(splitRow).join(' \\\\ ')}`;
+        return `\\left[\\begin{array}{${spec}} ${body} \\end{array}\\right]`;
+    }
+
+    return `\\begin{bmatrix} ${lines.join(' \\\\ ')} \\end{bmatrix}`;
+}
+
+/**
+ * Format basis vectors for output
+ * exact keeps the entries as fraction strings for tools that need them.
+ * Pass complex for vectors of a complex matrix: they have no number values,
+ * so basis is left out and exact holds strings such as "1+2i"
+ */
+export function formatBasis(basis, complex = false) {
+    const exactValue = f => (f instanceof Fraction || f instanceof Complex ? f : Fraction.from(f));
+    const formatted = {
+        exact: basis.map(vector => vector.map(f => exactValue(f).toString())),
+        latex: basis.map(vector => vectorToLatex(vector))
+    };
+
+    if (!complex) {
+        formatted.basis = basis.map(vector => vector.map(f => exactValue(f).toNumber()));
+    }
+
+    return formatted;
+}
+
+/**
+ * Format a floating-point approximation for display, e.g. 1.4142 or 2
+ */
+export function formatApproximate(value, digits = 4) {
+    const rounded = Number(value.toFixed(digits));
+    return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+/**
+ * Format an approximate complex number as LaTeX, e.g. "0.5 + 0.866i"
+ */
+export function complexToLatex(re, im, digits = 4) {
+    if (im === 0) {
+        return formatApproximate(re, digits);
+    }
+    const magnitude = formatApproximate(Math.abs(im), digits);
+    const imagPart = magnitude === '1' ? 'i' : `${magnitude}i`;
+    if (Number(re.toFixed(digits)) === 0) {
+        return im < 0 ? `-${imagPart}` : imagPart;
+    }
+    return `${formatApproximate(re, digits)} ${im < 0 ? '-' : '+'} ${imagPart}`;
+}
@@ -1,39 +1,89 @@
 /**
  * Fraction utilities for exact arithmetic in matrix computations
- * Avoids floating-point precision errors
+ * Numerators and denominators are BigInts, so results never lose precision
  */
 
+// Largest power of ten accepted in scientific notation
+const MAX_EXPONENT = 1000;
+
+/**
+ * Convert an integer-valued number or BigInt to a BigInt
+ */
+function toBigInt(value) {
+    if (typeof value === 'bigint') {
+        return value;
+    }
+    if (typeof value === 'number' && Number.isInteger(value)) {
+        return BigInt(value);
+    }
+    throw new Error(`Fraction parts must be integers, got ${value}`);
+}
+
+/**
+ * Absolute value of a BigInt
+ */
+function absBigInt(value) {
+    return value < 0n ? -value : value;
+}
+
+/**
+ * Number of bits needed to represent a non-negative BigInt
+ */
+function bitLength(value) {
+    return value === 0n ? 0 : value.toString(2).length;
+}
+
+/**
+ * A Fraction as the number type of other (e.g. a Complex), so that mixed
+ * arithmetic is done by the wider type
+ */
+function widen(fraction, other) {
+    if (typeof other?.constructor?.from !== 'function') {
+        throw new Error(`Cannot combine a Fraction with ${typeof other}`);
+    }
+    return other.constructor.from(fraction);
+}
+
 /**
  * Represents a rational number as a fraction
  */
 export class Fraction {
     constructor(numerator, denominator = 1) {
-        if (denominator === 0) {
+        let num = toBigInt(numerator);
+        let den = toBigInt(denominator);
+
+        if (den === 0n) {
             throw new Error('Denominator cannot be zero');
         }
 
         // Handle negative denominators
-        if (denominator < 0) {
-            numerator = -numerator;
-            denominator = -denominator;
+        if (den < 0n) {
+            num = -num;
+            den = -den;
         }
 
-        const gcd = this.gcd(Math.abs(numerator), Math.abs(denominator));
-        this.numerator = numerator / gcd;
-        this.denominator = denominator / gcd;
+        const gcd = this.gcd(absBigInt(num), den);
+        this.numerator = num / gcd;
+        this.denominator = den / gcd;
     }
 
     /**
      * Greatest Common Divisor using Euclidean algorithm
      */
     gcd(a, b) {
-        return b === 0 ? a : this.gcd(b, a % b);
+        while (b !== 0n) {
+            [a, b] = [b, a % b];
+        }
+        return a;
     }
 
     /**
      * Add two fractions
      */
     add(other) {
+        if (!(other instanceof Fraction)) {
+            return widen(this, other).add(other);
+        }
         const num = this.numerator * other.denominator + other.numerator * this.denominator;
         const den = this.denominator * other.denominator;
         return new Fraction(num, den);
@@ -43,6 +93,9 @@ export class Fraction {
      * Subtract two fractions
      */
     subtract(other) {
+        if (!(other instanceof Fraction)) {
+            return widen(this, other).subtract(other);
+        }
         const num = this.numerator * other.denominator - other.numerator * this.denominator;
         const den = this.denominator * other.denominator;
         return new Fraction(num, den);
@@ -52,6 +105,9 @@ export class Fraction {
      * Multiply two fractions
      */
     multiply(other) {
+        if (!(other instanceof Fraction)) {
+            return widen(this, other).multiply(other);
+        }
         return new Fraction(
             this.numerator * other.numerator,
             this.denominator * other.denominator
@@ -62,7 +118,10 @@ export class Fraction {
      * Divide two fractions
      */
     divide(other) {
-        if (other.numerator === 0) {
+        if (!(other instanceof Fraction)) {
+            return widen(this, other).divide(other);
+        }
+        if (other.numerator === 0n) {
             throw new Error('Division by zero');
         }
         return new Fraction(
@@ -78,11 +137,35 @@ export class Fraction {
         return new Fraction(-this.numerator, this.denominator);
     }
 
+    /**
+     * Absolute value of the fraction
+     */
+    abs() {
+        return this.numerator < 0n ? this.negate() : this;
+    }
+
+    /**
+     * Sign of the fraction: -1, 0 or 1
+     */
+    sign() {
+        if (this.numerator === 0n) return 0;
+        return this.numerator < 0n ? -1 : 1;
+    }
+
+    /**
+     * Compare with another fraction: -1 if smaller, 0 if equal, 1 if larger
+     */
+    compare(other) {
+        const diff = this.numerator * other.denominator - other.numerator * this.denominator;
+        if (diff === 0n) return 0;
+        return diff < 0n ? -1 : 1;
+    }
+
     /**
      * Check if fraction is zero
      */
     isZero() {
-        return this.numerator === 0;
+        return this.numerator === 0n;
     }
 
     /**
@@ -97,16 +180,38 @@ export class Fraction {
 
     /**
      * Convert to decimal number
+     * Throws if the value is outside the range of a JavaScript number
      */
     toNumber() {
-        return this.numerator / this.denominator;
+        const num = this.numerator;
+        const den = this.denominator;
+        const numValue = Number(num);
+        const denValue = Number(den);
+
+        if (Number.isFinite(numValue) && Number.isFinite(denValue)) {
+            return numValue / denValue;
+        }
+
+        // Numerator or denominator overflowed on its own: divide as BigInts,
+        // keeping 64 significant bits of the quotient, then rescale
+        const shift = 64 - (bitLength(absBigInt(num)) - bitLength(den));
+        const quotient = shift >= 0
+            ? (num << BigInt(shift)) / den
+            : num / (den << BigInt(-shift));
+        const half = Math.trunc(shift / 2);
+        const value = Number(quotient) * Math.pow(2, -half) * Math.pow(2, half - shift);
+
+        if (!Number.isFinite(value)) {
+            throw new Error(`Value ${this.toString()} is too large to display as a number`);
+        }
+        return value;
     }
 
     /**
      * Convert to display string
      */
     toString() {
-        if (this.denominator === 1) {
+        if (this.denominator === 1n) {
             return this.numerator.toString();
         }
         return `${this.numerator}/${this.denominator}`;
@@ -116,42 +221,92 @@ export class Fraction {
      * Convert to LaTeX format
      */
     toLatex() {
-        if (this.denominator === 1) {
+        if (this.denominator === 1n) {
             return this.numerator.toString();
         }
-        if (this.numerator < 0) {
-            return `-\\frac{${Math.abs(this.numerator)}}{${this.denominator}}`;
+        if (this.numerator < 0n) {
+            return `-\\frac{${-this.numerator}}{${this.denominator}}`;
         }
         return `\\frac{${this.numerator}}{${this.denominator}}`;
     }
 
     /**
-     * Create fraction from string (supports "1/2", "3", "0.5")
+     * Create fraction from string without rounding
+     * Supports integers ("3"), decimals ("0.5"), scientific notation ("1.2e-3"),
+     * repeating decimals ("0.(3)", "1.2(45)"), fractions ("1/2", "1.5/2.5")
+     * and mixed numbers ("1 1/2", "-2 3/4")
      */
     static fromString(str) {
         const trimmed = str.trim();
 
+        const mixed = /^([+-]?)(\d+)\s+(\d+)\s*\/\s*(\d+)$/.exec(trimmed);
+        if (mixed) {
+            const [, sign, whole, num, den] = mixed;
+            if (BigInt(den) === 0n) {
+                throw new Error(`Invalid fraction: ${str}`);
+            }
+            const value = new Fraction(BigInt(whole)).add(new Fraction(BigInt(num), BigInt(den)));
+            return sign === '-' ? value.negate() : value;
+        }
+
         if (trimmed.includes('/')) {
-            const [num, den] = trimmed.split('/').map(s => parseFloat(s.trim()));
-            if (isNaN(num) || isNaN(den)) {
+            const parts = trimmed.split('/');
+            const [num, den] = parts.map(s => Fraction.parseReal(s));
+            if (parts.length !== 2 || !num || !den || den.isZero()) {
                 throw new Error(`Invalid fraction: ${str}`);
             }
-            return new Fraction(num, den);
+            return num.divide(den);
         }
 
-        const num = parseFloat(trimmed);
-        if (isNaN(num)) {
+        const value = Fraction.parseReal(trimmed);
+        if (!value) {
             throw new Error(`Invalid number: ${str}`);
         }
+        return value;
+    }
+
+    /**
+     * Parse a real literal exactly: "-12", "3.75", "6.02e23", "0.1(6)"
+     * Returns null if the string is not a real literal
+     */
+    static parseReal(str) {
+        const match = /^([+-]?)(\d*)(?:\.(\d*)(?:\((\d+)\))?)?(?:[eE]([+-]?\d+))?$/.exec(str.trim());
+        if (!match || (match[2] === '' && !match[3] && !match[4])) {
+            return null;
+        }
+
+        const [, sign, whole, decimals = '', repeating, exponent] = match;
+        const scale = 10n ** BigInt(decimals.length);
+        let value = new Fraction(BigInt(`${whole}${decimals}` || '0'), scale);
+
+        // 0.1(6) = 0.1 + 6 / (10 * 9)
+        if (repeating) {
+            const period = 10n ** BigInt(repeating.length) - 1n;
+            value = value.add(new Fraction(BigInt(repeating), scale * period));
+        }
+
+        if (exponent) {
+            const magnitude = Math.abs(parseInt(exponent, 10));
+            if (magnitude > MAX_EXPONENT) {
+                throw new Error(`Exponent out of range: ${str.trim()}`);
+            }
+            const power = 10n ** BigInt(magnitude);
+            value = exponent.startsWith('-')
+                ? value.divide(new Fraction(power))
+                : value.multiply(new Fraction(power));
+        }
 
-        // Convert decimal to fraction
-        return Fraction.fromDecimal(num);
+        return sign === '-' ? value.negate() : value;
     }
 
     /**
      * Convert decimal to fraction with reasonable precision
      */
     static fromDecimal(decimal, maxDenominator = 10000) {
+        if (!Number.isFinite(decimal)) {
+            throw new Error(`Cannot convert ${decimal} to Fraction`);
+        }
+
         if (Number.isInteger(decimal)) {
             return new Fraction(decimal, 1);
         }
@@ -180,7 +335,7 @@ export class Fraction {
     }
 
     /**
-     * Create fraction from number or string
+     * Create fraction from number, BigInt or string
      */
     static from(value) {
         if (value instanceof Fraction) {
@@ -189,6 +344,9 @@ export class Fraction {
         if (typeof value === 'string') {
             return Fraction.fromString(value);
         }
+        if (typeof value === 'bigint') {
+            return new Fraction(value);
+        }
         if (typeof value === 'number') {
             return Fraction.fromDecimal(value);
         }
@@ -0,0 +1,113 @@
+/**
+ * Gram–Schmidt Orthogonalization
+ * Exact orthogonal bases over Fractions, orthonormal bases with exact square roots
+ */
+
+import { Fraction } from './fractionUtils.js';
+import { Surd } from './surdUtils.js';
+import { dotProduct } from './systemSolver.js';
+import { vectorToLatex, formatBasis } from './formatUtils.js';
+
+/**
+ * Orthogonalize a list of vectors
+ *
+ * uₖ = vₖ − Σⱼ (vₖ·uⱼ)/(uⱼ·uⱼ) uⱼ
+ *
+ * Vectors that depend on earlier ones reduce to zero; they are marked as
+ * dependent and do not produce a new uⱼ.
+ *
+ * Returns {
+ *   orthogonal: Fraction[][],
+ *   normSquares: Fraction[],   // uⱼ·uⱼ
+ *   steps: { vector, projections: { index, coefficient }[], result, dependent }[]
+ * }
+ */
+export function gramSchmidt(vectors) {
+    const orthogonal = [];
+    const normSquares = [];
+    const steps = [];
+
+    for (const vector of vectors) {
+        let result = [...vector];
+        const projections = orthogonal.map((u, j) => {
+            const coefficient = dotProduct(vector, u).divide(normSquares[j]);
+            result = result.map((val, i) => val.subtract(coefficient.multiply(u[i])));
+            return { index: j, coefficient };
+        });
+
+        const dependent = result.every(val => val.isZero());
+        steps.push({ vector, projections, result, dependent });
+
+        if (!dependent) {
+            orthogonal.push(result);
+            normSquares.push(dotProduct(result, result));
+        }
+    }
+
+    return { orthogonal, normSquares, steps };
+}
+
+/**
+ * Normalize an orthogonal vector exactly: u / √(u·u)
+ */
+export function normalizeVector(vector, normSquare) {
+    const inverseNorm = Surd.inverseSqrt(normSquare);
+    return vector.map(val => inverseNorm.scale(val));
+}
+
+/**
+ * LaTeX for one Gram–Schmidt step, showing each projection being subtracted
+ */
+function stepToLatex(step, vectorIndex, orthogonalIndex, vectorSymbol) {
+    const v = `\\mathbf{${vectorSymbol}}_{${vectorIndex + 1}}`;
+    const target = step.dependent ? '\\mathbf{0}' : `\\mathbf{u}_{${orthogonalIndex + 1}}`;
+
+    if (step.projections.length === 0) {
+        return `${target} = ${v} = ${vectorToLatex(step.result)}`;
+    }
+
+    const symbolic = step.projections.map(({ index }) => {
+        const u = `\\mathbf{u}_{${index + 1}}`;
+        return ` - \\frac{${v} \\cdot ${u}}{${u} \\cdot ${u}} ${u}`;
+    }).join('');
+
+    const numeric = step.projections
+        .filter(({ coefficient }) => !coefficient.isZero())
+        .map(({ index, coefficient }) => {
+            const sign = coefficient.sign() < 0 ? '+' : '-';
+            const magnitude = coefficient.abs();
+            const factor = magnitude.equals(new Fraction(1)) ? '' : magnitude.toLatex();
+            return ` ${sign} ${factor}\\mathbf{u}_{${index + 1}}`;
+        }).join('');
+
+    return `${target} = ${v}${symbolic} = ${vectorToLatex(step.vector)}${numeric} = ${vectorToLatex(step.result)}`;
+}
+
+/**
+ * LaTeX for every Gram–Schmidt step, naming the input vectors vectorSymbol₁, vectorSymbol₂, ...
+ */
+export function formatGramSchmidtSteps(steps, vectorSymbol = 'v') {
+    let orthogonalIndex = 0;
+    return steps.map((step, k) => {
+        const latex = stepToLatex(step, k, orthogonalIndex, vectorSymbol);
+        if (!step.dependent) orthogonalIndex++;
+        return latex;
+    });
+}
+
+/**
+ * Format Gram–Schmidt output: orthogonal basis, orthonormal basis and steps
+ */
+export function formatGramSchmidt({ orthogonal, normSquares, steps }) {
+    const orthonormal = orthogonal.map((u, j) => normalizeVector(u, normSquares[j]));
+
+    return {
+        orthogonal: formatBasis(orthogonal),
+        orthonormal: {
+            basis: orthonormal.map(vector => vector.map(val => val.toNumber())),
+            latex: orthonormal.map(vectorToLatex)
+        },
+        norms: normSquares.map(normSquare => Surd.sqrt(normSquare).toLatex()),
+        steps: formatGramSchmidtSteps(steps)
+    };
+}
@@ -0,0 +1,74 @@
+/**
+ * Determinant and Inverse Calculator
+ * Reduces [A | I] by Gauss–Jordan elimination, tracking how each
+ * elementary row operation changes the determinant
+ */
+
+import { Fraction } from './fractionUtils.js';
+import { eliminate } from './eliminationPipeline.js';
+
+/**
+ * Factor by which an elementary row operation multiplies the determinant
+ * Swap: -1, scale by c: c, add a multiple of another row: 1,
+ * fraction-free combine c·row i + s·row k: c
+ */
+export function determinantFactor(operation) {
+    switch (operation.type) {
+        case 'swap':
+            return new Fraction(-1);
+        case 'scale':
+            return operation.params.scalar;
+        case 'combine':
+            return operation.params.multiplier;
+        default:
+            return new Fraction(1);
+    }
+}
+
+/**
+ * Compute determinant and inverse of a square matrix
+ *
+ * After reducing [A | I] to [R | E], every operation has multiplied the
+ * determinant by its factor, so det(R) = det(A) · ∏ factors. R is I exactly
+ * when A is invertible, in which case E = A⁻¹ and det(A) = 1 / ∏ factors.
+ * options.strategy and options.twoPhase choose how the reduction runs.
+ *
+ * Returns {
+ *   determinant: Fraction,
+ *   singular: boolean,
+ *   inverse: Matrix | null,
+ *   steps: { operation, factor, determinant }[]  // det of the left block after each step
+ *   operations: Operation[] | null              // tracked operations on [A | I]
+ * }
+ */
+export function computeDeterminantAndInverse(matrix, trackOperations = false, options = {}) {
+    if (matrix.rows !== matrix.cols) {
+        throw new Error('Determinant and inverse require a square matrix');
+    }
+
+    const n = matrix.rows;
+
+    // The determinant factors need the operations, but not their snapshots
+    // unless the steps are shown
+    const { E, rank, operations } = eliminate(matrix, true, { ...options, snapshots: trackOperations });
+    const singular = rank < n;
+
+    const factors = operations.map(determinantFactor);
+    const product = factors.reduce((acc, factor) => acc.multiply(factor), new Fraction(1));
+    const determinant = singular ? new Fraction(0) : new Fraction(1).divide(product);
+
+    // Running determinant of the left block after each operation
+    let running = determinant;
+    const steps = operations.map((operation, idx) => {
+        running = running.multiply(factors[idx]);
+        return { operation, factor: factors[idx], determinant: running };
+    });
+
+    return {
+        determinant,
+        singular,
+        inverse: singular ? null : E,
+        steps,
+        operations: trackOperations ? operations : null
+    };
+}
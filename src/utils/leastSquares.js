@@ -0,0 +1,101 @@
+/**
+ * Least Squares Solver
+ * Solves the normal equations AᵀA x̂ = Aᵀb exactly and checks that the
+ * residual lies in the left null space
+ */
+
+import { Matrix, computeRank } from './rrefCalculator.js';
+import { Fraction } from './fractionUtils.js';
+import { dotProduct, solveLinearSystem } from './systemSolver.js';
+import { DATA_FIT_LIMITS } from '../constants/index.js';
+
+/**
+ * Multiply a matrix by a column vector of Fractions
+ */
+function applyMatrix(matrix, vector) {
+    return matrix.data.map(row => dotProduct(row, vector));
+}
+
+/**
+ * Least-squares solution of Ax = b
+ *
+ * AᵀA is symmetric with N(AᵀA) = N(A), so nullSpace doubles as the left null
+ * space of AᵀA and the normal equations are always consistent. When A has
+ * dependent columns x̂ is not unique; the particular solution with all free
+ * variables set to 0 is returned and every x̂ + N(A) fits equally well.
+ *
+ * The residual e = b − Ax̂ is orthogonal to C(A), so it must lie in N(Aᵀ):
+ * Aᵀe = 0, and appending e to the left null space basis keeps its rank.
+ *
+ * Returns {
+ *   normalMatrix: Matrix, normalRhs: Fraction[],
+ *   solution: Fraction[], unique: boolean,
+ *   projection: Fraction[], residual: Fraction[], residualNormSquared: Fraction,
+ *   transposeResidual: Fraction[],  // Aᵀe
+ *   inLeftNullSpace: boolean
+ * }
+ */
+export function solveLeastSquares(matrix, rhs, nullSpace, leftNullSpace) {
+    if (rhs.length !== matrix.rows) {
+        throw new Error(`Right-hand side must have ${matrix.rows} entries`);
+    }
+
+    const b = rhs.map(value => Fraction.from(value));
+    const At = matrix.transpose();
+    const normalMatrix = At.multiply(matrix);
+    const normalRhs = applyMatrix(At, b);
+
+    const { particular: solution } = solveLinearSystem(normalMatrix, normalRhs, nullSpace);
+
+    const projection = applyMatrix(matrix, solution);
+    const residual = b.map((value, i) => value.subtract(projection[i]));
+    const transposeResidual = applyMatrix(At, residual);
+
+    const inLeftNullSpace = transposeResidual.every(value => value.isZero()) && (
+        residual.every(value => value.isZero()) ||
+        (leftNullSpace.length > 0 &&
+            computeRank(new Matrix([...leftNullSpace, residual])) === leftNullSpace.length)
+    );
+
+    return {
+        normalMatrix,
+        normalRhs,
+        solution,
+        unique: nullSpace.length === 0,
+        projection,
+        residual,
+        residualNormSquared: dotProduct(residual, residual),
+        transposeResidual,
+        inLeftNullSpace
+    };
+}
+
+/**
+ * Design matrix for fitting y = c₀ + c₁x + ... + c_d x^d through data points
+ *
+ * points: [x, y] pairs as strings or Fractions
+ * Returns { matrix: string[][], rhs: string[] } ready for computeMatrix
+ */
+export function buildDesignMatrix(points, degree) {
+    if (!Number.isInteger(degree) || degree < 1) {
+        throw new Error('Fit degree must be a positive integer');
+    }
+    if (points.length === 0) {
+        throw new Error('Enter at least one data point');
+    }
+    if (points.length > DATA_FIT_LIMITS.MAX_POINTS) {
+        throw new Error(`Fits are limited to ${DATA_FIT_LIMITS.MAX_POINTS} data points`);
+    }
+
+    const matrix = points.map(([x]) => {
+        const value = Fraction.from(x);
+        let power = new Fraction(1);
+        return Array(degree + 1).fill(null).map((_, k) => {
+            if (k > 0) power = power.multiply(value);
+            return power.toString();
+        });
+    });
+    const rhs = points.map(([, y]) => Fraction.from(y).toString());
+
+    return { matrix, rhs };
+}
@@ -0,0 +1,88 @@
+/**
+ * PLU / LDU Factorization
+ * Derived from the row operations recorded by computeRREF
+ */
+
+import { Matrix } from './rrefCalculator.js';
+import { Fraction } from './fractionUtils.js';
+
+/**
+ * Build an m×m permutation matrix whose row i picks row order[i]
+ */
+function permutationMatrix(order) {
+    const m = order.length;
+    return new Matrix(order.map(source =>
+        Array(m).fill(null).map((_, j) => new Fraction(j === source ? 1 : 0))
+    ));
+}
+
+/**
+ * Compute PA = LU and PA = LDU from the operations of computeRREF(matrix, true)
+ *
+ * Only the forward part of Gauss–Jordan is used: swaps, and additions that
+ * clear entries below the current pivot row. The backward additions and the
+ * pivot scalings are not needed for U. Since the recorded multiplier acts on
+ * the scaled pivot row, the multiplier for the unscaled row is
+ * l = -factor · scale, where scale is the factor applied to that pivot row.
+ *
+ * U is an echelon form, so rectangular and rank-deficient matrices work too.
+ * D holds the pivots on its diagonal (0 where a row has no pivot) and the
+ * LDU form of U has unit pivots.
+ *
+ * Returns { P, L, U, D, unitU, PA, order, swaps, verified }
+ */
+export function computeLU(matrix, operations) {
+    const m = matrix.rows;
+    const order = Array(m).fill(null).map((_, i) => i);
+    const lower = Array(m).fill(null).map(() =>
+        Array(m).fill(null).map(() => new Fraction(0))
+    );
+    const upper = matrix.clone();
+    const pivotScales = new Map();
+    let swaps = 0;
+
+    for (const operation of operations) {
+        const { params } = operation;
+
+        if (operation.type === 'swap') {
+            const { row1, row2 } = params;
+            [order[row1], order[row2]] = [order[row2], order[row1]];
+            [lower[row1], lower[row2]] = [lower[row2], lower[row1]];
+            upper.swapRows(row1, row2);
+            swaps++;
+        } else if (operation.type === 'scale') {
+            pivotScales.set(params.row, params.scalar);
+        } else if (operation.type === 'add' && params.targetRow > params.sourceRow) {
+            const scale = pivotScales.get(params.sourceRow) ?? new Fraction(1);
+            const multiplier = params.scalar.multiply(scale).negate();
+            lower[params.targetRow][params.sourceRow] = multiplier;
+            upper.addRowMultiple(params.targetRow, params.sourceRow, multiplier.negate());
+        }
+    }
+
+    for (let i = 0; i < m; i++) {
+        lower[i][i] = new Fraction(1);
+    }
+
+    const P = permutationMatrix(order);
+    const L = new Matrix(lower);
+
+    // Split U = D · unitU by dividing each row by its pivot
+    const diagonal = Array(m).fill(null).map(() =>
+        Array(m).fill(null).map(() => new Fraction(0))
+    );
+    const unitU = upper.clone();
+    for (let i = 0; i < m; i++) {
+        const pivot = upper.data[i].find(val => !val.isZero());
+        if (pivot) {
+            diagonal[i][i] = pivot;
+            unitU.multiplyRow(i, new Fraction(1).divide(pivot));
+        }
+    }
+    const D = new Matrix(diagonal);
+
+    const PA = P.multiply(matrix);
+    const verified = L.multiply(upper).equals(PA) && L.multiply(D).multiply(unitU).equals(PA);
+
+    return { P, L, U: upper, D, unitU, PA, order, swaps, verified };
+}
@@ -0,0 +1,182 @@
+/**
+ * Manual Row Reduction
+ * Applies row operations chosen by the user, rejecting anything that is not
+ * an elementary operation, and compares their path with computeRREF
+ */
+
+import { computeRREF, DEFAULT_PIVOT_STRATEGY, PIVOT_STRATEGIES } from './rrefCalculator.js';
+import { Fraction } from './fractionUtils.js';
+import { parseScalar } from './complexUtils.js';
+
+/**
+ * Check that a 0-based row index exists
+ */
+function checkRow(matrix, row) {
+    if (!Number.isInteger(row) || row < 0 || row >= matrix.rows) {
+        throw new Error(`Row ${Number.isInteger(row) ? row + 1 : row} does not exist`);
+    }
+}
+
+/**
+ * Apply one row operation to a copy of the matrix
+ *
+ * operation is { type: 'swap', row1, row2 }, { type: 'scale', row, scalar }
+ * or { type: 'add', targetRow, sourceRow, scalar } with 0-based rows and
+ * scalar a Fraction, Complex or a string such as "1/2" or "-i". Throws when the
+ * operation is not elementary (scaling by 0, adding a row to itself).
+ *
+ * Returns { matrix: Matrix, operation } where operation has the same shape
+ * as those recorded by computeRREF (type, notation, description, params,
+ * matrixBefore, matrixAfter)
+ */
+export function applyRowOperation(matrix, operation) {
+    const result = matrix.clone();
+    let notation;
+    let description;
+    let params;
+
+    switch (operation.type) {
+        case 'swap': {
+            const { row1, row2 } = operation;
+            checkRow(matrix, row1);
+            checkRow(matrix, row2);
+            if (row1 === row2) {
+                throw new Error('Choose two different rows to swap');
+            }
+            result.swapRows(row1, row2);
+            notation = `E_{${row1 + 1}${row2 + 1}}`;
+            description = `Swap row ${row1 + 1} and row ${row2 + 1}`;
+            params = { row1, row2 };
+            break;
+        }
+        case 'scale': {
+            const { row } = operation;
+            const scalar = parseScalar(operation.scalar);
+            checkRow(matrix, row);
+            if (scalar.isZero()) {
+                throw new Error('Scaling a row by 0 is not an elementary operation (it cannot be undone)');
+            }
+            result.multiplyRow(row, scalar);
+            notation = `E_{${row + 1}}(${scalar.toLatex()})`;
+            description = `Multiply row ${row + 1} by ${scalar.toLatex()}`;
+            params = { row, scalar };
+            break;
+        }
+        case 'add': {
+            const { targetRow, sourceRow } = operation;
+            const scalar = parseScalar(operation.scalar);
+            checkRow(matrix, targetRow);
+            checkRow(matrix, sourceRow);
+            if (targetRow === sourceRow) {
+                throw new Error('Adding a multiple of a row to itself is not an elementary operation; use scaling instead');
+            }
+            if (scalar.isZero()) {
+                throw new Error('Adding 0 times a row leaves the matrix unchanged');
+            }
+            result.addRowMultiple(targetRow, sourceRow, scalar);
+            notation = `E_{${targetRow + 1}${sourceRow + 1}}(${scalar.toLatex()})`;
+            description = `Multiply row ${sourceRow + 1} by ${scalar.toLatex()} and add to row ${targetRow + 1}`;
+            params = { targetRow, sourceRow, scalar };
+            break;
+        }
+        default:
+            throw new Error(`Unknown row operation: ${operation.type}`);
+    }
+
+    return {
+        matrix: result,
+        operation: {
+            type: operation.type,
+            notation,
+            description,
+            params,
+            matrixBefore: matrix.clone(),
+            matrixAfter: result.clone()
+        }
+    };
+}
+
+/**
+ * Check whether a matrix is in reduced row echelon form: zero rows at the
+ * bottom, each leading entry 1 and to the right of the one above, and the
+ * only nonzero entry in its column
+ */
+export function isRREF(matrix) {
+    let lastPivot = -1;
+    let seenZeroRow = false;
+
+    for (let i = 0; i < matrix.rows; i++) {
+        const pivot = matrix.data[i].findIndex(val => !val.isZero());
+
+        if (pivot === -1) {
+            seenZeroRow = true;
+            continue;
+        }
+        if (seenZeroRow || pivot <= lastPivot || !matrix.get(i, pivot).equals(new Fraction(1))) {
+            return false;
+        }
+        for (let k = 0; k < matrix.rows; k++) {
+            if (k !== i && !matrix.get(k, pivot).isZero()) {
+                return false;
+            }
+        }
+        lastPivot = pivot;
+    }
+
+    return true;
+}
+
+/**
+ * Pivoting strategy the hints and step count use for the given one
+ * Fraction-free (Bareiss) steps combine a scaling and an addition, which
+ * the manual controls cannot do, so it falls back to partial pivoting
+ * Returns { id, label }
+ */
+export function hintStrategy(strategy = DEFAULT_PIVOT_STRATEGY) {
+    const id = strategy === 'bareiss' ? 'partial' : strategy;
+    const { label } = PIVOT_STRATEGIES.find(option => option.id === id);
+    return { id, label };
+}
+
+/**
+ * The step the automatic reduction would take next from this matrix, or
+ * null in RREF; always a swap, scale or add
+ */
+export function suggestNextStep(matrix, strategy = DEFAULT_PIVOT_STRATEGY) {
+    const { operations } = computeRREF(matrix, true, { strategy: hintStrategy(strategy).id, snapshots: false });
+    return operations[0] ?? null;
+}
+
+/**
+ * Number of steps the automatic reduction takes (with hintStrategy)
+ * This is one way to reduce the matrix, not the fewest steps possible
+ */
+export function automaticStepCount(matrix, strategy = DEFAULT_PIVOT_STRATEGY) {
+    return computeRREF(matrix, true, { strategy: hintStrategy(strategy).id, snapshots: false }).operations.length;
+}
+
+/**
+ * A lower bound on the number of elementary operations that take the matrix
+ * to its RREF R; a path of exactly this length is the shortest possible
+ *
+ * Let d rows differ from the same row of R, f of them rows of R that equal
+ * no row of the matrix. The row ending in each of those f places must have
+ * been scaled or added to, so there are T ≥ f scalings and additions. Every
+ * one of the d places is changed by a last operation, which is a swap
+ * (changing two places) or one of the T. With S swaps, 2S + T ≥ d, so
+ * S + T ≥ (d + T) / 2 ≥ (d + f) / 2.
+ */
+export function minimumStepBound(matrix) {
+    const { rref } = computeRREF(matrix);
+    const sameRow = (a, b) => a.every((val, j) => val.equals(b[j]));
+
+    let differing = 0;
+    let unmatched = 0;
+    rref.data.forEach((row, i) => {
+        if (sameRow(row, matrix.data[i])) return;
+        differing++;
+        if (!matrix.data.some(original => sameRow(row, original))) unmatched++;
+    });
+
+    return Math.ceil((differing + unmatched) / 2);
+}
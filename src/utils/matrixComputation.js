@@ -5,6 +5,12 @@
 
 import { computeAllSpaces } from './spaceCalculator.js';
 import { parseMatrixCell } from './matrixUtils.js';
+import { Fraction } from './fractionUtils.js';
+import { Complex } from './complexUtils.js';
+import { Matrix } from './rrefCalculator.js';
+import { computeEigen, formatEigen } from './eigenCalculator.js';
+import { findParameter, computeParametricResults } from './parametricMatrix.js';
+import { MATRIX_LIMITS, DATA_FIT_LIMITS } from '../constants/index.js';
 
 /**
  * Example matrices for quick testing
@@ -59,7 +65,7 @@ export const EXAMPLE_MATRICES = [
 
 /**
  * Parse matrix from string input
- * Handles various formats including fractions
+ * Strings become exact Fractions; numbers (e.g. older saved matrices) pass through
  */
 export function parseMatrixInput(matrixData) {
     try {
@@ -78,8 +84,9 @@ export function parseMatrixInput(matrixData) {
 
 /**
  * Validate matrix dimensions
+ * Pass fit for the design matrix of a data fit, whose rows are data points
  */
-export function validateMatrix(matrixData) {
+export function validateMatrix(matrixData, fit = false) {
     if (!matrixData || !Array.isArray(matrixData) || matrixData.length === 0) {
         throw new Error('Matrix cannot be empty');
     }
@@ -91,8 +98,12 @@ export function validateMatrix(matrixData) {
         throw new Error('Matrix must have at least one column');
     }
 
-    if (rows > 5 || cols > 5) {
-        throw new Error('Matrix dimensions must be ≤ 5×5');
+    const max = MATRIX_LIMITS.MAX_DIMENSION;
+    if (fit && rows > DATA_FIT_LIMITS.MAX_POINTS) {
+        throw new Error(`Fits are limited to ${DATA_FIT_LIMITS.MAX_POINTS} data points`);
+    }
+    if ((!fit && rows > max) || cols > max) {
+        throw new Error(`Matrix dimensions must be ≤ ${max}×${max}`);
     }
 
     // Check all rows have same length
@@ -100,11 +111,11 @@ export function validateMatrix(matrixData) {
         throw new Error('All rows must have the same number of columns');
     }
 
-    // Check all values are numeric
+    // Check all values are exact fractions, complex numbers or finite numbers
     for (let i = 0; i < rows; i++) {
         for (let j = 0; j < cols; j++) {
             const val = matrixData[i][j];
-            if (typeof val !== 'number' || !isFinite(val)) {
+            if (!(val instanceof Fraction) && !(val instanceof Complex) && (typeof val !== 'number' || !isFinite(val))) {
                 throw new Error(`Invalid value at position (${i + 1}, ${j + 1})`);
             }
         }
@@ -116,17 +127,64 @@ export function validateMatrix(matrixData) {
 /**
  * Main computation function
  * Parses, validates, and computes all fundamental spaces
+ * Pass options.rhs to solve the augmented system [A | b] as well, and
+ * options.fit = { degree } when A is the design matrix of a data fit.
+ * options.strategy picks the pivoting strategy (see PIVOT_STRATEGIES) and
+ * options.twoPhase separates the forward (REF) and backward (RREF) phases.
+ * A matrix with a parameter (e.g. k) gets a rank case analysis instead.
+ * options.onProgress(stage) reports each stage as it starts
  */
-export function computeMatrix(matrixData, trackOperations = true) {
+export function computeMatrix(matrixData, trackOperations = true, options = {}) {
     try {
+        // Entries like k or k^2-1 get a case analysis instead
+        if (findParameter(matrixData)) {
+            if (options.rhs) {
+                throw new Error('Solving Ax = b is not supported for matrices with a parameter');
+            }
+            const max = MATRIX_LIMITS.MAX_DIMENSION;
+            if (matrixData.length > max || matrixData[0].length > max) {
+                throw new Error(`Matrix dimensions must be ≤ ${max}×${max}`);
+            }
+            options.onProgress?.('Case analysis');
+            return {
+                success: true,
+                data: computeParametricResults(matrixData)
+            };
+        }
+
         // Parse the matrix
         const parsed = parseMatrixInput(matrixData);
 
         // Validate
-        validateMatrix(parsed);
+        const { rows, cols } = validateMatrix(parsed, Boolean(options.fit));
+
+        let rhs;
+        if (options.rhs) {
+            rhs = parseMatrixInput([options.rhs])[0];
+            if (rhs.length !== rows) {
+                throw new Error(`Right-hand side must have ${rows} entries`);
+            }
+        }
 
         // Compute all spaces (with operation tracking)
-        const results = computeAllSpaces(parsed, trackOperations);
+        const results = computeAllSpaces(parsed, trackOperations, {
+            rhs,
+            fit: options.fit,
+            strategy: options.strategy,
+            twoPhase: options.twoPhase,
+            onProgress: options.onProgress
+        });
+
+        // Eigenvalues and eigenspaces for real square matrices
+        if (rows === cols && !results.complex) {
+            options.onProgress?.('Eigenvalues');
+            // A failed numerical root search should not hide the other results
+            try {
+                results.eigen = formatEigen(computeEigen(new Matrix(parsed)));
+            } catch (error) {
+                results.eigen_error = error.message;
+            }
+        }
 
         return {
             success: true,
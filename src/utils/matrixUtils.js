@@ -2,40 +2,48 @@
  * Matrix utility functions for parsing, validation, and formatting
  */
 
+import { Fraction } from './fractionUtils.js';
+import { parseScalar } from './complexUtils.js';
+import { MATRIX_LIMITS } from '../constants/index.js';
+
 /**
- * Parses a matrix cell value to a number
- * Supports fractions (e.g., "1/2") and decimals
+ * Parses a matrix cell value to an exact Fraction
+ * Supports fractions (e.g., "1/2", "1 1/2"), decimals, scientific notation
+ * and repeating decimals (e.g., "0.(3)"). Cells written with i (e.g.
+ * "1+2i", "3/4 - i/2") become exact Complex numbers
  */
 export function parseMatrixCell(value) {
     const trimmed = value.trim();
-    if (trimmed === '') return 0;
-
-    if (trimmed.includes('/')) {
-        const [num, den] = trimmed.split('/').map(s => parseFloat(s.trim()));
-        if (isNaN(num) || isNaN(den) || den === 0) {
-            throw new Error(`Invalid fraction: ${trimmed}`);
-        }
-        return num / den;
-    }
-
-    const num = parseFloat(trimmed);
-    if (isNaN(num)) {
-        throw new Error(`Invalid number: ${trimmed}`);
-    }
-    return num;
+    if (trimmed === '') return new Fraction(0);
+    return parseScalar(trimmed);
 }
 
 /**
- * Converts a matrix of strings to numbers
+ * Converts a matrix of strings to Fractions
  */
 export function parseMatrix(matrix) {
     return matrix.map(row => row.map(parseMatrixCell));
 }
 
+/**
+ * Checks every cell of a string matrix and returns the trimmed strings,
+ * with blank cells filled in as "0", so values stay exact until computation
+ */
+export function normalizeMatrix(matrix) {
+    return matrix.map((row, i) => row.map((cell, j) => {
+        try {
+            parseMatrixCell(cell);
+        } catch (error) {
+            throw new Error(`Row ${i + 1}, column ${j + 1}: ${error.message}`);
+        }
+        return cell.trim() === '' ? '0' : cell.trim();
+    }));
+}
+
 /**
  * Validates matrix dimensions
  */
-export function validateDimensions(rows, cols, min = 1, max = 5) {
+export function validateDimensions(rows, cols, min = MATRIX_LIMITS.MIN_DIMENSION, max = MATRIX_LIMITS.MAX_DIMENSION) {
     return {
         rows: Math.max(min, Math.min(max, rows)),
         cols: Math.max(min, Math.min(max, cols))
@@ -71,6 +79,13 @@ export function resizeMatrix(matrix, newRows, newCols) {
     return result;
 }
 
+/**
+ * Resize a vector (e.g. a right-hand side column), preserving existing values
+ */
+export function resizeVector(vector, length) {
+    return Array(length).fill(null).map((_, i) => vector?.[i] ?? '');
+}
+
 /**
  * Formats a number for display in matrix cells
  */
@@ -78,3 +93,65 @@ export function formatMatrixCell(value) {
     if (typeof value !== 'number') return value;
     return Number.isInteger(value) ? value : value.toFixed(2);
 }
+
+/**
+ * Split a row separated only by spaces into cells
+ * Spaces around an operator stay inside the cell ("1 + 2i", "3/4 - i/2",
+ * "1 / 2"), while "1 -2" is two cells. An integer followed by a fraction
+ * ("1 1/2") could be a mixed number or two cells, so that is an error.
+ */
+function splitSpacedRow(line, rowNumber) {
+    const cells = [];
+    let joinNext = false;
+
+    for (const piece of line.split(/\s+/)) {
+        const previous = cells[cells.length - 1];
+        const operator = /^[-+*/]$/.test(piece);
+        if (previous !== undefined && (joinNext || operator || /^[*/]/.test(piece))) {
+            cells[cells.length - 1] = `${previous} ${piece}`;
+        } else {
+            if (previous !== undefined && /^[-+]?\d+$/.test(previous) && /^\d+\/\d+$/.test(piece)) {
+                throw new Error(
+                    `Row ${rowNumber}: "${previous} ${piece}" could be a mixed number or two entries; separate entries with commas`
+                );
+            }
+            cells.push(piece);
+        }
+        joinNext = /[-+*/]$/.test(piece);
+    }
+
+    return cells;
+}
+
+/**
+ * Parse a matrix typed as text: one row per line (or separated by
+ * semicolons), entries separated by commas, tabs or spaces. Cells may hold
+ * anything parseMatrixCell reads; with spaces as separators, spaces inside
+ * a cell are only allowed around operators. Brackets are ignored.
+ * Returns the normalized string matrix
+ */
+export function parseMatrixText(text) {
+    const rows = text
+        .split(/[\n;]/)
+        .map(line => line.replace(/[[\]]/g, '').trim())
+        .filter(line => line !== '')
+        .map((line, i) => {
+            if (line.includes(',')) return line.split(',').map(cell => cell.trim());
+            if (line.includes('\t')) return line.split('\t').map(cell => cell.trim());
+            return splitSpacedRow(line, i + 1);
+        });
+
+    if (rows.length === 0) {
+        throw new Error('Enter at least one row');
+    }
+    rows.forEach((row, i) => {
+        if (row.length !== rows[0].length) {
+            throw new Error(`Row ${i + 1} has ${row.length} entries, but row 1 has ${rows[0].length}`);
+        }
+    });
+    if (rows.length > MATRIX_LIMITS.MAX_DIMENSION || rows[0].length > MATRIX_LIMITS.MAX_DIMENSION) {
+        throw new Error(`Matrices are limited to ${MATRIX_LIMITS.MAX_DIMENSION}×${MATRIX_LIMITS.MAX_DIMENSION}`);
+    }
+
+    return normalizeMatrix(rows);
+}
@@ -0,0 +1,433 @@
+/**
+ * Matrices with a Parameter
+ * Entries such as k, 2a+1 or k^2-1 are polynomials in one parameter. The
+ * matrix is row-reduced over rational functions for the generic case, then
+ * again with the parameter substituted wherever a pivot vanishes.
+ */
+
+import { Fraction } from './fractionUtils.js';
+import { parseScalar, isComplexLiteral } from './complexUtils.js';
+import { Polynomial, findRoots } from './polynomial.js';
+import { RationalFunction, polynomialLcm } from './rationalFunction.js';
+import { Matrix } from './rrefCalculator.js';
+import { eliminate } from './eliminationPipeline.js';
+import { vectorToLatex, formatApproximate } from './formatUtils.js';
+
+// e is taken by scientific notation (1e-3) and i by complex numbers
+const RESERVED_LETTERS = ['e', 'i'];
+
+// Highest power of the parameter an entry may have; the determinant of an
+// n×n matrix can reach n times this degree
+const MAX_DEGREE = 12;
+
+/**
+ * Check whether a cell is an ordinary (real or complex) number
+ */
+function isNumeric(cell) {
+    if (typeof cell !== 'string' || cell.trim() === '') return true;
+    try {
+        parseScalar(cell.trim());
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * The parameter letter used in a string matrix, or null when every entry is
+ * a number. Throws when more than one letter appears or a reserved one does.
+ */
+export function findParameter(matrix) {
+    const letters = new Set();
+    matrix.forEach(row => row.forEach(cell => {
+        if (!isNumeric(cell)) {
+            (cell.match(/[A-Za-z]/g) ?? []).forEach(letter => letters.add(letter));
+        }
+    }));
+
+    const reserved = [...letters].filter(letter => RESERVED_LETTERS.includes(letter));
+    if (reserved.length > 0) {
+        throw new Error(`"${reserved[0]}" cannot be a parameter (e is used for scientific notation and i for complex numbers); try k`);
+    }
+    if (letters.size > 1) {
+        throw new Error(`Only one parameter is supported, but the matrix uses ${[...letters].join(', ')}`);
+    }
+    if (letters.size === 1 && matrix.some(row => row.some(cell => isComplexLiteral(cell) && isNumeric(cell)))) {
+        throw new Error('Complex entries cannot be combined with a parameter');
+    }
+    return letters.size === 1 ? [...letters][0] : null;
+}
+
+/**
+ * Parse an entry such as "k^2 - 1", "2a+1", "(k+1)/2" or "3k(k-1)" into a
+ * Polynomial in the parameter. Division is only by numbers.
+ */
+export function parseParametricEntry(text, parameter) {
+    const pattern = /\s*(\d+(?:\.\d+)?|\.\d+|[A-Za-z]|[-+*/^()])\s*/y;
+    const tokens = [];
+    while (pattern.lastIndex < text.length) {
+        const start = pattern.lastIndex;
+        const match = pattern.exec(text);
+        if (!match) {
+            throw new Error(`Cannot read "${text.slice(start).trim()}"`);
+        }
+        tokens.push(match[1]);
+    }
+
+    let index = 0;
+    const peek = () => tokens[index];
+    const variable = new Polynomial([0, 1]);
+
+    // Reject an entry as soon as it grows past MAX_DEGREE
+    const bounded = (polynomial) => {
+        if (polynomial.degree > MAX_DEGREE) {
+            throw new Error(`Entries can be at most degree ${MAX_DEGREE} in ${parameter}`);
+        }
+        return polynomial;
+    };
+
+    function parseSum() {
+        let left = parseProduct();
+        while (peek() === '+' || peek() === '-') {
+            const operator = tokens[index++];
+            const right = parseProduct();
+            left = operator === '+' ? left.add(right) : left.subtract(right);
+        }
+        return left;
+    }
+
+    function parseProduct() {
+        let left = parseUnary();
+        for (;;) {
+            const token = peek();
+            if (token === '*') {
+                index++;
+                left = bounded(left.multiply(parseUnary()));
+            } else if (token === '/') {
+                index++;
+                const divisor = parseUnary();
+                if (divisor.degree !== 0) {
+                    throw new Error(`Only division by a nonzero number is supported, not by ${divisor.isZero() ? '0' : divisor.toLatex(parameter)}`);
+                }
+                left = left.scale(new Fraction(1).divide(divisor.leading));
+            } else if (token === '(' || /^[A-Za-z]$/.test(token ?? '')) {
+                // Implicit multiplication: 2k, k(k+1)
+                left = bounded(left.multiply(parsePower()));
+            } else {
+                return left;
+            }
+        }
+    }
+
+    function parseUnary() {
+        if (peek() === '-') {
+            index++;
+            return parseUnary().scale(new Fraction(-1));
+        }
+        if (peek() === '+') {
+            index++;
+            return parseUnary();
+        }
+        return parsePower();
+    }
+
+    function parsePower() {
+        const base = parseAtom();
+        if (peek() !== '^') return base;
+        index++;
+        const exponent = tokens[index++];
+        if (!/^\d+$/.test(exponent ?? '')) {
+            throw new Error('Exponents must be whole numbers');
+        }
+        // Checked before multiplying, so k^100000 fails at once
+        if (Number(exponent) > MAX_DEGREE || Math.max(base.degree, 0) * Number(exponent) > MAX_DEGREE) {
+            throw new Error(`Entries can be at most degree ${MAX_DEGREE} in ${parameter}`);
+        }
+        let result = new Polynomial([1]);
+        for (let k = 0; k < Number(exponent); k++) {
+            result = result.multiply(base);
+        }
+        return result;
+    }
+
+    function parseAtom() {
+        const token = tokens[index++];
+        if (token === undefined) {
+            throw new Error('Entry ends too early');
+        }
+        if (token === '(') {
+            const inner = parseSum();
+            if (tokens[index++] !== ')') {
+                throw new Error('Missing closing parenthesis');
+            }
+            return inner;
+        }
+        if (/^[\d.]/.test(token)) {
+            return new Polynomial([Fraction.fromString(token)]);
+        }
+        if (token === parameter) {
+            return variable;
+        }
+        if (/^[A-Za-z]$/.test(token)) {
+            throw new Error(`Unknown letter "${token}"; the parameter is ${parameter}`);
+        }
+        throw new Error(`Unexpected "${token}"`);
+    }
+
+    if (tokens.length === 0) {
+        return new Polynomial([]);
+    }
+    const result = parseSum();
+    if (index < tokens.length) {
+        throw new Error(`Unexpected "${tokens[index]}"`);
+    }
+    return result;
+}
+
+/**
+ * Check every cell of a string matrix with a parameter and return the trimmed
+ * strings, with blank cells filled in as "0"
+ */
+export function normalizeParametricMatrix(matrix) {
+    const parameter = findParameter(matrix);
+    return matrix.map((row, i) => row.map((cell, j) => {
+        const text = String(cell).trim();
+        if (text === '') return '0';
+        try {
+            if (isNumeric(text)) {
+                Fraction.fromString(text);
+            } else {
+                parseParametricEntry(text, parameter);
+            }
+        } catch (error) {
+            throw new Error(`Row ${i + 1}, column ${j + 1}: ${error.message}`);
+        }
+        return text;
+    }));
+}
+
+/**
+ * Parse one cell into a Polynomial in the parameter
+ */
+function parseCell(cell, parameter) {
+    if (typeof cell !== 'string') {
+        return new Polynomial([Fraction.from(cell)]);
+    }
+    return isNumeric(cell)
+        ? new Polynomial([cell.trim() === '' ? new Fraction(0) : Fraction.fromString(cell.trim())])
+        : parseParametricEntry(cell, parameter);
+}
+
+/**
+ * Gauss–Jordan elimination of [A | I] over rational functions, taking the
+ * first nonzero entry of each column as pivot
+ * Returns { rref, E, pivots, pivotValues } with pivotValues the pivots
+ * before they were scaled to 1
+ */
+function reduceGeneric(entries) {
+    const m = entries.length;
+    const n = entries[0].length;
+    const zero = RationalFunction.from(0);
+    const one = RationalFunction.from(1);
+    const rows = entries.map((row, i) => [
+        ...row,
+        ...Array(m).fill(null).map((_, j) => (i === j ? one : zero))
+    ]);
+
+    const pivots = [];
+    const pivotValues = [];
+    let pivotRow = 0;
+
+    for (let col = 0; col < n && pivotRow < m; col++) {
+        const found = rows.findIndex((row, i) => i >= pivotRow && !row[col].isZero());
+        if (found === -1) continue;
+
+        [rows[pivotRow], rows[found]] = [rows[found], rows[pivotRow]];
+        const pivot = rows[pivotRow][col];
+        pivotValues.push(pivot);
+        rows[pivotRow] = rows[pivotRow].map(val => val.divide(pivot));
+
+        for (let i = 0; i < m; i++) {
+            const factor = rows[i][col];
+            if (i === pivotRow || factor.isZero()) continue;
+            rows[i] = rows[i].map((val, j) => val.subtract(factor.multiply(rows[pivotRow][j])));
+        }
+
+        pivots.push(col);
+        pivotRow++;
+    }
+
+    return {
+        rref: rows.map(row => row.slice(0, n)),
+        E: rows.map(row => row.slice(n)),
+        pivots,
+        pivotValues
+    };
+}
+
+/**
+ * Multiply a vector of rational functions by the lcm of its denominators so
+ * its entries become polynomials (same direction for generic values)
+ */
+function clearDenominators(vector) {
+    const lcm = vector.reduce((acc, val) => polynomialLcm(acc, val.denominator), new Polynomial([1]));
+    const factor = RationalFunction.from(lcm);
+    return vector.map(val => val.multiply(factor));
+}
+
+/**
+ * Analyse a matrix whose entries depend on one parameter
+ *
+ * The generic case holds for every value except the roots of the product of
+ * the pivots, which is (up to sign) the r×r minor on the pivot rows and
+ * columns. Rank can only drop where that minor vanishes, so those roots are
+ * the special cases. Rational roots are substituted exactly and each gets its
+ * own elimination; irrational roots are only reported.
+ *
+ * Returns {
+ *   parameter, entries: Polynomial[][],
+ *   generic: { rank, pivots, rref, columnSpace, rowSpace, nullSpace, leftNullSpace },  // RationalFunction entries
+ *   critical: Polynomial,                     // vanishes at the special values
+ *   irrationalFactor: Polynomial,             // its factor without rational roots
+ *   cases: [{ value: Fraction, matrix: Matrix, rank, pivots, rref, columnSpace, rowSpace, nullSpace, leftNullSpace }],
+ *   irrational: [{ re, im }]                  // special values without exact substitution
+ * }
+ */
+export function analyzeParametricMatrix(matrix, parameter) {
+    const entries = matrix.map(row => row.map(cell => parseCell(cell, parameter)));
+    const m = entries.length;
+    const functions = entries.map(row => row.map(p => RationalFunction.from(p)));
+
+    const { rref, E, pivots, pivotValues } = reduceGeneric(functions);
+    const rank = pivots.length;
+    const pivotSet = new Set(pivots);
+    const n = entries[0].length;
+
+    const nullSpace = [];
+    for (let free = 0; free < n; free++) {
+        if (pivotSet.has(free)) continue;
+        const vector = Array(n).fill(null).map((_, j) => RationalFunction.from(j === free ? 1 : 0));
+        pivots.forEach((col, row) => {
+            vector[col] = rref[row][free].negate();
+        });
+        nullSpace.push(clearDenominators(vector));
+    }
+
+    const generic = {
+        rank,
+        pivots,
+        rref,
+        columnSpace: pivots.map(col => functions.map(row => row[col])),
+        rowSpace: rref.slice(0, rank).map(clearDenominators),
+        nullSpace,
+        leftNullSpace: E.slice(rank, m).map(clearDenominators)
+    };
+
+    const minor = pivotValues.reduce((acc, value) => acc.multiply(value), RationalFunction.from(1));
+    const critical = minor.numerator.multiply(minor.denominator);
+
+    const cases = [];
+    const irrational = [];
+    // What is left of the critical polynomial once the rational roots are divided out
+    let irrationalFactor = critical.monic();
+    for (const root of findRoots(critical)) {
+        if (!root.exact) {
+            irrational.push({ re: root.re, im: root.im });
+            continue;
+        }
+        const linear = new Polynomial([root.exact.negate(), 1]);
+        while (irrationalFactor.divmod(linear).remainder.isZero()) {
+            irrationalFactor = irrationalFactor.divmod(linear).quotient;
+        }
+        const substituted = new Matrix(entries.map(row => row.map(p => p.evaluate(root.exact))));
+        const result = eliminate(substituted);
+        cases.push({
+            value: root.exact,
+            matrix: substituted,
+            rank: result.rank,
+            pivots: result.pivots,
+            rref: result.rref,
+            columnSpace: result.columnSpace,
+            rowSpace: result.rowSpace.rref.basis,
+            nullSpace: result.nullSpace,
+            leftNullSpace: result.leftNullSpace
+        });
+    }
+    cases.sort((a, b) => a.value.compare(b.value));
+
+    return { parameter, entries, generic, critical, irrationalFactor, cases, irrational };
+}
+
+/**
+ * LaTeX for a basis: each vector, or {0} for the zero subspace
+ */
+function basisLatex(basis, toLatex) {
+    return basis.map(vector => `\\begin{bmatrix} ${vector.map(toLatex).join(' \\\\ ')} \\end{bmatrix}`);
+}
+
+/**
+ * Format a parametric analysis for output
+ */
+export function formatParametricAnalysis(analysis) {
+    const { parameter, entries, generic, cases, irrational } = analysis;
+    const symbolic = val => val.toLatex(parameter);
+    const symbolicMatrix = rows => `\\begin{bmatrix} ${rows.map(row => row.map(symbolic).join(' & ')).join(' \\\\ ')} \\end{bmatrix}`;
+
+    const excluded = cases.map(c => `${parameter} \\neq ${c.value.toLatex()}`);
+    if (irrational.length > 0) {
+        excluded.push(`${analysis.irrationalFactor.toLatex(parameter)} \\neq 0`);
+    }
+
+    return {
+        parameter,
+        matrix_latex: symbolicMatrix(entries),
+        generic: {
+            rank: generic.rank,
+            pivots: generic.pivots,
+            condition_latex: excluded.join(',\\; '),
+            rref_latex: symbolicMatrix(generic.rref),
+            column_space: basisLatex(generic.columnSpace, symbolic),
+            row_space: basisLatex(generic.rowSpace, symbolic),
+            null_space: basisLatex(generic.nullSpace, symbolic),
+            left_null_space: basisLatex(generic.leftNullSpace, symbolic)
+        },
+        cases: cases.map(c => ({
+            value: c.value.toString(),
+            rank: c.rank,
+            pivots: c.pivots,
+            matrix_latex: c.matrix.toLatex(),
+            rref_latex: c.rref.toLatex(),
+            column_space: c.columnSpace.map(vectorToLatex),
+            row_space: c.rowSpace.map(vectorToLatex),
+            null_space: c.nullSpace.map(vectorToLatex),
+            left_null_space: c.leftNullSpace.map(vectorToLatex)
+        })),
+        irrational: irrational.map(root => (root.im === 0
+            ? formatApproximate(root.re)
+            : `${formatApproximate(root.re)} ${root.im < 0 ? '-' : '+'} ${formatApproximate(Math.abs(root.im))}i`))
+    };
+}
+
+/**
+ * Full results for a string matrix with a parameter, shaped so the rest of
+ * the app (saving, the results header) can treat it like any other result
+ */
+export function computeParametricResults(matrix) {
+    const parameter = findParameter(matrix);
+    if (!parameter) {
+        throw new Error('The matrix has no parameter');
+    }
+    const normalized = normalizeParametricMatrix(matrix);
+    const parametric = formatParametricAnalysis(analyzeParametricMatrix(normalized, parameter));
+
+    return {
+        matrix: {
+            exact: normalized,
+            rows: normalized.length,
+            cols: normalized[0].length,
+            latex: parametric.matrix_latex
+        },
+        rank: parametric.generic.rank,
+        parametric
+    };
+}
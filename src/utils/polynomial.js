@@ -0,0 +1,403 @@
+/**
+ * Polynomial utilities over exact Fractions
+ * Used for characteristic polynomials and their roots
+ */
+
+import { Fraction } from './fractionUtils.js';
+import { Matrix } from './rrefCalculator.js';
+
+/**
+ * Polynomial with Fraction coefficients, stored lowest degree first
+ * e.g. [c0, c1, c2] represents c0 + c1·x + c2·x²
+ */
+export class Polynomial {
+    constructor(coefficients) {
+        const coeffs = coefficients.map(c => Fraction.from(c));
+
+        // Drop trailing zero coefficients so the degree is exact
+        while (coeffs.length > 0 && coeffs[coeffs.length - 1].isZero()) {
+            coeffs.pop();
+        }
+        this.coefficients = coeffs;
+    }
+
+    /**
+     * Degree of the polynomial (-1 for the zero polynomial)
+     */
+    get degree() {
+        return this.coefficients.length - 1;
+    }
+
+    /**
+     * Leading coefficient (0 for the zero polynomial)
+     */
+    get leading() {
+        return this.coefficients[this.degree] ?? new Fraction(0);
+    }
+
+    /**
+     * Check if this is the zero polynomial
+     */
+    isZero() {
+        return this.coefficients.length === 0;
+    }
+
+    /**
+     * Coefficient of x^k
+     */
+    coefficient(k) {
+        return this.coefficients[k] ?? new Fraction(0);
+    }
+
+    /**
+     * Add two polynomials
+     */
+    add(other) {
+        const length = Math.max(this.coefficients.length, other.coefficients.length);
+        return new Polynomial(Array(length).fill(null).map((_, k) =>
+            this.coefficient(k).add(other.coefficient(k))
+        ));
+    }
+
+    /**
+     * Subtract two polynomials
+     */
+    subtract(other) {
+        return this.add(other.scale(new Fraction(-1)));
+    }
+
+    /**
+     * Multiply by a scalar Fraction
+     */
+    scale(scalar) {
+        return new Polynomial(this.coefficients.map(c => c.multiply(scalar)));
+    }
+
+    /**
+     * Multiply two polynomials
+     */
+    multiply(other) {
+        if (this.isZero() || other.isZero()) {
+            return new Polynomial([]);
+        }
+        const product = Array(this.degree + other.degree + 1).fill(null).map(() => new Fraction(0));
+        this.coefficients.forEach((a, i) => {
+            other.coefficients.forEach((b, j) => {
+                product[i + j] = product[i + j].add(a.multiply(b));
+            });
+        });
+        return new Polynomial(product);
+    }
+
+    /**
+     * Long division: returns { quotient, remainder } with this = quotient·divisor + remainder
+     */
+    divmod(divisor) {
+        if (divisor.isZero()) {
+            throw new Error('Polynomial division by zero');
+        }
+
+        let remainder = this;
+        const quotient = Array(Math.max(this.degree - divisor.degree + 1, 0)).fill(null).map(() => new Fraction(0));
+
+        while (!remainder.isZero() && remainder.degree >= divisor.degree) {
+            const shift = remainder.degree - divisor.degree;
+            const factor = remainder.leading.divide(divisor.leading);
+            quotient[shift] = factor;
+
+            const term = Array(shift + 1).fill(null).map(() => new Fraction(0));
+            term[shift] = factor;
+            remainder = remainder.subtract(divisor.multiply(new Polynomial(term)));
+        }
+
+        return { quotient: new Polynomial(quotient), remainder };
+    }
+
+    /**
+     * Derivative of the polynomial
+     */
+    derivative() {
+        return new Polynomial(this.coefficients.slice(1).map((c, k) => c.multiply(new Fraction(k + 1))));
+    }
+
+    /**
+     * Scale so the leading coefficient is 1
+     */
+    monic() {
+        if (this.isZero()) return this;
+        return this.scale(new Fraction(1).divide(this.leading));
+    }
+
+    /**
+     * Greatest common divisor (monic) via the Euclidean algorithm
+     */
+    gcd(other) {
+        let a = this;
+        let b = other;
+        while (!b.isZero()) {
+            [a, b] = [b, a.divmod(b).remainder];
+        }
+        return a.monic();
+    }
+
+    /**
+     * Evaluate exactly at a Fraction using Horner's method
+     */
+    evaluate(x) {
+        let result = new Fraction(0);
+        for (let k = this.degree; k >= 0; k--) {
+            result = result.multiply(x).add(this.coefficients[k]);
+        }
+        return result;
+    }
+
+    /**
+     * Evaluate at a square Matrix using Horner's method
+     */
+    evaluateMatrix(matrix) {
+        const n = matrix.rows;
+        let result = new Matrix(Array(n).fill(null).map(() => Array(n).fill(0)));
+        for (let k = this.degree; k >= 0; k--) {
+            result = result.multiply(matrix);
+            for (let i = 0; i < n; i++) {
+                result.data[i][i] = result.data[i][i].add(this.coefficients[k]);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Square-free decomposition (Yun's algorithm)
+     * Returns [{ factor, multiplicity }] with this = c · ∏ factorᵢ^multiplicityᵢ
+     */
+    squareFreeDecomposition() {
+        const factors = [];
+        if (this.degree < 1) return factors;
+
+        const derivative = this.derivative();
+        let a = this.gcd(derivative);
+        let b = this.divmod(a).quotient;
+        let c = derivative.divmod(a).quotient;
+        let d = c.subtract(b.derivative());
+        let multiplicity = 1;
+
+        while (b.degree > 0) {
+            a = b.gcd(d);
+            b = b.divmod(a).quotient;
+            c = d.divmod(a).quotient;
+            d = c.subtract(b.derivative());
+            if (a.degree > 0) {
+                factors.push({ factor: a, multiplicity });
+            }
+            multiplicity++;
+        }
+
+        return factors;
+    }
+
+    /**
+     * Convert to LaTeX, e.g. "\lambda^{2} - 3\lambda + 2"
+     */
+    toLatex(variable = 'x') {
+        if (this.isZero()) return '0';
+
+        const terms = [];
+        for (let k = this.degree; k >= 0; k--) {
+            const c = this.coefficients[k];
+            if (c.isZero()) continue;
+
+            const power = k === 0 ? '' : k === 1 ? variable : `${variable}^{${k}}`;
+            const magnitude = c.abs();
+            const coefficient = k > 0 && magnitude.equals(new Fraction(1)) ? '' : magnitude.toLatex();
+            const sign = c.sign() < 0 ? '-' : '+';
+
+            terms.push({ sign, body: `${coefficient}${power}` });
+        }
+
+        return terms.map((term, idx) => {
+            if (idx === 0) return term.sign === '-' ? `-${term.body}` : term.body;
+            return ` ${term.sign} ${term.body}`;
+        }).join('');
+    }
+}
+
+/**
+ * Approximate all complex roots of a polynomial (Durand–Kerner iteration)
+ * The variable is first scaled by the Fujiwara bound R, so the iteration
+ * runs on roots inside the unit circle and powers of large roots cannot
+ * overflow. Throws if the iteration still leaves a non-finite root.
+ * Returns [{ re, im }] as plain numbers
+ */
+export function approximateRoots(polynomial, maxIterations = 500, tolerance = 1e-14) {
+    const n = polynomial.degree;
+    if (n < 1) return [];
+
+    // Monic floating-point coefficients, highest degree first
+    const lead = polynomial.leading.toNumber();
+    const monic = [];
+    for (let k = n; k >= 0; k--) {
+        monic.push(polynomial.coefficient(k).toNumber() / lead);
+    }
+
+    // Fujiwara bound: every root has |x| ≤ 2·max |cₙ₋ₖ|^(1/k), halving the constant term
+    const radius = Math.max(...monic.slice(1).map((c, idx) => {
+        const k = idx + 1;
+        return Math.pow(Math.abs(k === n ? c / 2 : c), 1 / k);
+    })) * 2 || 1;
+
+    // Coefficients of p(R·y) / Rⁿ, whose roots y = x / R lie in the unit disk
+    const coeffs = monic.map((c, k) => c / Math.pow(radius, k));
+
+    const evaluate = (z) => {
+        let re = 0;
+        let im = 0;
+        for (const c of coeffs) {
+            [re, im] = [re * z.re - im * z.im + c, re * z.im + im * z.re];
+        }
+        return { re, im };
+    };
+
+    let roots = Array(n).fill(null).map((_, k) => {
+        const angle = (2 * Math.PI * k) / n + 0.4;
+        return { re: Math.cos(angle), im: Math.sin(angle) };
+    });
+
+    for (let iter = 0; iter < maxIterations; iter++) {
+        let maxChange = 0;
+        roots = roots.map((z, i) => {
+            let denRe = 1;
+            let denIm = 0;
+            roots.forEach((w, j) => {
+                if (i === j) return;
+                const dRe = z.re - w.re;
+                const dIm = z.im - w.im;
+                [denRe, denIm] = [denRe * dRe - denIm * dIm, denRe * dIm + denIm * dRe];
+            });
+            const value = evaluate(z);
+            const scale = denRe * denRe + denIm * denIm || Number.MIN_VALUE;
+            const stepRe = (value.re * denRe + value.im * denIm) / scale;
+            const stepIm = (value.im * denRe - value.re * denIm) / scale;
+            maxChange = Math.max(maxChange, Math.hypot(stepRe, stepIm));
+            return { re: z.re - stepRe, im: z.im - stepIm };
+        });
+
+        if (maxChange < tolerance) break;
+    }
+
+    const scaled = roots.map(z => ({ re: z.re * radius, im: z.im * radius }));
+    if (!scaled.every(z => Number.isFinite(z.re) && Number.isFinite(z.im))) {
+        throw new Error(`Could not approximate the roots of ${polynomial.toLatex()} numerically`);
+    }
+    return scaled;
+}
+
+/**
+ * Coefficients times the lcm of their denominators: BigInt integers with
+ * the same roots and signs, lowest degree first
+ */
+function integerCoefficients(polynomial) {
+    const gcd = (a, b) => (b === 0n ? a : gcd(b, a % b));
+    const lcm = polynomial.coefficients.reduce((acc, c) => acc / gcd(acc, c.denominator) * c.denominator, 1n);
+    return polynomial.coefficients.map(c => c.numerator * (lcm / c.denominator));
+}
+
+/**
+ * Value of an integer polynomial at an integer point
+ */
+function evaluateInteger(coeffs, x) {
+    return coeffs.reduceRight((acc, c) => acc * x + c, 0n);
+}
+
+/**
+ * Exact rational roots of a square-free polynomial
+ *
+ * With L the leading coefficient of f made integral, g(y) = Lⁿ⁻¹·f(y / L)
+ * is monic with integer coefficients, so its rational roots are integers
+ * and those of f are y / L. Integer roots of g are isolated by bisection on
+ * integer points, counting real roots in (a, b] with a Sturm sequence,
+ * until each interval is one integer wide; then only b can be a root.
+ */
+export function rationalRoots(polynomial) {
+    const n = polynomial.degree;
+    if (n < 1) return [];
+
+    const a = integerCoefficients(polynomial);
+    const sign = a[n] < 0n ? -1n : 1n;
+    const lead = a[n] * sign;
+    const g = a.map((c, k) => (k === n ? 1n : c * sign * lead ** BigInt(n - 1 - k)));
+
+    // Sturm sequence g, g′, −rem(gₖ₋₁, gₖ), ... scaled to integer coefficients
+    const sturm = [];
+    let previous = new Polynomial(g);
+    let current = previous.derivative();
+    sturm.push(integerCoefficients(previous));
+    while (!current.isZero()) {
+        sturm.push(integerCoefficients(current));
+        [previous, current] = [current, previous.divmod(current).remainder.scale(new Fraction(-1))];
+    }
+
+    const signChanges = (x) => {
+        let changes = 0;
+        let last = 0n;
+        for (const coeffs of sturm) {
+            const value = evaluateInteger(coeffs, x);
+            if (value === 0n) continue;
+            if (last !== 0n && (value < 0n) !== (last < 0n)) changes++;
+            last = value;
+        }
+        return changes;
+    };
+
+    // Cauchy bound: every root has |y| < 1 + max |gₖ|
+    const bound = 1n + g.slice(0, n).reduce((max, c) => {
+        const magnitude = c < 0n ? -c : c;
+        return magnitude > max ? magnitude : max;
+    }, 0n);
+
+    const roots = [];
+    const intervals = [[-bound, bound, signChanges(-bound), signChanges(bound)]];
+    while (intervals.length > 0) {
+        const [low, high, lowChanges, highChanges] = intervals.pop();
+        if (lowChanges === highChanges) continue;
+        if (high - low === 1n) {
+            if (evaluateInteger(g, high) === 0n) {
+                roots.push(new Fraction(high, lead));
+            }
+            continue;
+        }
+        const middle = low + (high - low) / 2n;
+        const middleChanges = signChanges(middle);
+        intervals.push([low, middle, lowChanges, middleChanges], [middle, high, middleChanges, highChanges]);
+    }
+
+    return roots.sort((x, y) => x.compare(y));
+}
+
+/**
+ * Find the roots of a polynomial with their multiplicities
+ * Rational roots are found exactly; the rest are approximated numerically
+ *
+ * Returns [{ exact: Fraction | null, re, im, multiplicity }]
+ */
+export function findRoots(polynomial) {
+    const roots = [];
+
+    for (const { factor, multiplicity } of polynomial.squareFreeDecomposition()) {
+        // Each square-free factor has simple roots, so numerical roots are accurate
+        let remaining = factor;
+
+        for (const exact of rationalRoots(factor)) {
+            roots.push({ exact, re: exact.toNumber(), im: 0, multiplicity });
+            remaining = remaining.divmod(new Polynomial([exact.negate(), 1])).quotient;
+        }
+
+        // Whatever is left has no rational roots
+        for (const approx of approximateRoots(remaining)) {
+            const scale = Math.max(1, Math.hypot(approx.re, approx.im));
+            const im = Math.abs(approx.im) < 1e-9 * scale ? 0 : approx.im;
+            roots.push({ exact: null, re: approx.re, im, multiplicity });
+        }
+    }
+
+    return roots;
+}
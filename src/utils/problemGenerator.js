@@ -0,0 +1,46 @@
+/**
+ * Practice Problem Generator
+ * Random small integer matrices of a chosen rank
+ */
+
+import { Matrix, computeRank } from './rrefCalculator.js';
+
+// Practice matrices stay small enough to reduce by hand
+const MIN_SIZE = 2;
+const MAX_SIZE = 4;
+const MAX_FACTOR_ENTRY = 3;
+
+/**
+ * Random integer in [min, max]
+ */
+function randomInt(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Generate a practice matrix A = BC with B m×r and C r×n, retrying until A
+ * has rank exactly r and no zero rows or columns
+ * Pass random to make the choice reproducible
+ * Returns { matrix: number[][], rows, cols, rank }
+ */
+export function generateProblem(random = Math.random) {
+    const rows = randomInt(random, MIN_SIZE, MAX_SIZE);
+    const cols = randomInt(random, MIN_SIZE, MAX_SIZE);
+    // Full rank is allowed but rank-deficient matrices are more interesting
+    const rank = randomInt(random, 1, Math.min(rows, cols));
+    const entry = () => randomInt(random, -MAX_FACTOR_ENTRY, MAX_FACTOR_ENTRY);
+
+    for (;;) {
+        const B = Array(rows).fill(null).map(() => Array(rank).fill(null).map(entry));
+        const C = Array(rank).fill(null).map(() => Array(cols).fill(null).map(entry));
+        const matrix = B.map(row =>
+            Array(cols).fill(null).map((_, j) => row.reduce((sum, b, k) => sum + b * C[k][j], 0))
+        );
+
+        const hasZeroRow = matrix.some(row => row.every(val => val === 0));
+        const hasZeroCol = matrix[0].some((_, j) => matrix.every(row => row[j] === 0));
+        if (!hasZeroRow && !hasZeroCol && computeRank(new Matrix(matrix)) === rank) {
+            return { matrix, rows, cols, rank };
+        }
+    }
+}
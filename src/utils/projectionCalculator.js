@@ -0,0 +1,114 @@
+/**
+ * Projection Calculator
+ * Orthogonal projections onto the four subspaces and the exact splitting
+ * of a vector into its parts in a subspace and its orthogonal complement
+ */
+
+import { Matrix } from './rrefCalculator.js';
+import { Fraction } from './fractionUtils.js';
+import { computeDeterminantAndInverse } from './inverseCalculator.js';
+import { dotProduct } from './systemSolver.js';
+import { vectorToLatex } from './formatUtils.js';
+
+/**
+ * Matrix whose columns are the given basis vectors
+ */
+function basisMatrix(basis, size) {
+    return new Matrix(Array(size).fill(null).map((_, i) => basis.map(vector => vector[i])));
+}
+
+/**
+ * Multiply a matrix by a column vector of Fractions
+ */
+function applyMatrix(matrix, vector) {
+    return matrix.data.map(row => dotProduct(row, vector));
+}
+
+/**
+ * Projection matrix P = B(BᵀB)⁻¹Bᵀ onto the span of a basis of ℝ^size
+ * The basis is independent, so BᵀB is invertible. An empty basis gives P = 0.
+ */
+export function projectionMatrix(basis, size) {
+    if (basis.length === 0) {
+        return new Matrix(Array(size).fill(null).map(() => Array(size).fill(0)));
+    }
+
+    const B = basisMatrix(basis, size);
+    const Bt = B.transpose();
+    const { inverse } = computeDeterminantAndInverse(Bt.multiply(B));
+    return B.multiply(inverse).multiply(Bt);
+}
+
+/**
+ * Format the projection onto one subspace
+ */
+function formatProjection(basis, size) {
+    const P = projectionMatrix(basis, size);
+    return {
+        matrix: P,
+        basis_latex: basis.length > 0 ? basisMatrix(basis, size).toLatex() : null,
+        latex: P.toLatex(),
+        exact: P.toStringArray()
+    };
+}
+
+/**
+ * Projection matrices onto all four subspaces of an m×n matrix
+ *
+ * The row space and null space are orthogonal complements in ℝⁿ, as are the
+ * column space and left null space in ℝᵐ, so each pair of projections must
+ * add up to the identity.
+ */
+export function computeProjections({ columnSpace, rowSpace, nullSpace, leftNullSpace }, m, n) {
+    const projections = {
+        column_space: formatProjection(columnSpace, m),
+        row_space: formatProjection(rowSpace, n),
+        null_space: formatProjection(nullSpace, n),
+        left_null_space: formatProjection(leftNullSpace, m)
+    };
+
+    const complementary = {
+        domain: projections.row_space.matrix.add(projections.null_space.matrix).equals(Matrix.identity(n)),
+        codomain: projections.column_space.matrix.add(projections.left_null_space.matrix).equals(Matrix.identity(m))
+    };
+
+    Object.values(projections).forEach(projection => delete projection.matrix);
+    return { ...projections, complementary };
+}
+
+/**
+ * Split a vector v into Pv (in the subspace) and v − Pv (in its orthogonal complement)
+ *
+ * projection: exact projection matrix entries as returned by computeProjections
+ * vector: entries as Fractions or strings
+ *
+ * Returns {
+ *   vector, parallel, perpendicular: Fraction[],
+ *   latex: { vector, parallel, perpendicular, dot },
+ *   orthogonal: boolean  // (Pv)·(v − Pv) = 0
+ * }
+ */
+export function decomposeVector(projection, vector) {
+    const P = new Matrix(projection);
+    if (vector.length !== P.cols) {
+        throw new Error(`Vector must have ${P.cols} entries, got ${vector.length}`);
+    }
+
+    const v = vector.map(value => Fraction.from(value));
+    const parallel = applyMatrix(P, v);
+    const perpendicular = v.map((value, i) => value.subtract(parallel[i]));
+    const dot = dotProduct(parallel, perpendicular);
+
+    return {
+        vector: v,
+        parallel,
+        perpendicular,
+        latex: {
+            vector: vectorToLatex(v),
+            parallel: vectorToLatex(parallel),
+            perpendicular: vectorToLatex(perpendicular),
+            dot: dot.toLatex()
+        },
+        orthogonal: dot.isZero()
+    };
+}
@@ -0,0 +1,117 @@
+/**
+ * QR Decomposition
+ * Gram–Schmidt on the columns of A, with R built from the projection
+ * coefficients so every entry stays exact
+ */
+
+import { Matrix } from './rrefCalculator.js';
+import { Fraction } from './fractionUtils.js';
+import { Surd } from './surdUtils.js';
+import { gramSchmidt, normalizeVector, formatGramSchmidtSteps } from './gramSchmidt.js';
+import { vectorToLatex, matrixToLatex } from './formatUtils.js';
+
+/**
+ * Compute A = QR
+ *
+ * Gram–Schmidt writes each column as aₖ = Σᵢ cᵢₖ uᵢ with orthogonal uᵢ, so
+ * A = U·R̃ where R̃ is an r×n echelon matrix over Fractions with a 1 where
+ * each uⱼ is created. Scaling uᵢ to unit length gives Q = U·D^(−1/2) and
+ * R = D^(1/2)·R̃, where D holds the squared norms uᵢ·uᵢ. Row i of R is
+ * therefore the Fraction row i of R̃ times the single surd ‖uᵢ‖.
+ *
+ * Dependent columns create no new uⱼ, which gives the reduced form with
+ * Q m×r and R r×n (r = rank). Independent columns give Q m×n and square,
+ * invertible, upper triangular R.
+ *
+ * Returns {
+ *   U: Fraction[][], normSquares: Fraction[],  // orthogonal columns uᵢ and uᵢ·uᵢ
+ *   Q: Surd[][], R: Surd[][], unitR: Matrix,    // unitR is R̃
+ *   steps, reduced: boolean, verified: boolean  // verified: U·R̃ = A
+ * }
+ */
+export function computeQR(matrix) {
+    const columns = matrix.transpose().data;
+    const { orthogonal, normSquares, steps } = gramSchmidt(columns);
+    const r = orthogonal.length;
+
+    // Column k of R̃ holds the projection coefficients of aₖ, plus the 1 for its own uⱼ
+    const unitR = Array(r).fill(null).map(() =>
+        Array(matrix.cols).fill(null).map(() => new Fraction(0))
+    );
+    let created = 0;
+    steps.forEach((step, k) => {
+        step.projections.forEach(({ index, coefficient }) => {
+            unitR[index][k] = coefficient;
+        });
+        if (!step.dependent) {
+            unitR[created][k] = new Fraction(1);
+            created++;
+        }
+    });
+
+    const norms = normSquares.map(normSquare => Surd.sqrt(normSquare));
+    const qColumns = orthogonal.map((u, i) => normalizeVector(u, normSquares[i]));
+
+    const Q = Array(matrix.rows).fill(null).map((_, i) => qColumns.map(column => column[i]));
+    const R = unitR.map((row, i) => row.map(val => norms[i].scale(val)));
+
+    const verified = r > 0 && new Matrix(
+        Array(matrix.rows).fill(null).map((_, i) => orthogonal.map(u => u[i]))
+    ).multiply(new Matrix(unitR)).equals(matrix);
+
+    return {
+        U: orthogonal,
+        normSquares,
+        Q,
+        R,
+        unitR: r > 0 ? new Matrix(unitR) : null,
+        steps,
+        reduced: r < matrix.cols,
+        verified
+    };
+}
+
+/**
+ * Format the QR decomposition for output
+ * Each step shows the projections subtracted from one column and the
+ * resulting column of R
+ */
+export function formatQR(qr) {
+    const { U, normSquares, Q, R, unitR, steps, reduced, verified } = qr;
+
+    if (U.length === 0) {
+        return { zero: true };
+    }
+
+    const stepLatex = formatGramSchmidtSteps(steps, 'a');
+    let created = 0;
+    const formattedSteps = steps.map((step, k) => {
+        const formatted = {
+            column: k + 1,
+            dependent: step.dependent,
+            latex: stepLatex[k],
+            r_column: vectorToLatex(R.map(row => row[k]))
+        };
+        if (!step.dependent) {
+            const j = created + 1;
+            formatted.normalization = `\\mathbf{q}_{${j}} = \\frac{\\mathbf{u}_{${j}}}{\\lVert \\mathbf{u}_{${j}} \\rVert} = ${vectorToLatex(Q.map(row => row[created]))}, \\quad \\lVert \\mathbf{u}_{${j}} \\rVert = ${Surd.sqrt(normSquares[created]).toLatex()}`;
+            created++;
+        }
+        return formatted;
+    });
+
+    return {
+        zero: false,
+        Q: matrixToLatex(Q),
+        R: matrixToLatex(R),
+        U: matrixToLatex(Array(U[0].length).fill(null).map((_, i) => U.map(u => u[i]))),
+        unit_R: unitR.toLatex(),
+        D: matrixToLatex(normSquares.map((normSquare, i) =>
+            normSquares.map((_, j) => (i === j ? normSquare : new Fraction(0)))
+        )),
+        rank: U.length,
+        reduced,
+        verified,
+        steps: formattedSteps
+    };
+}
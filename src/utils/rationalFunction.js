@@ -0,0 +1,115 @@
+/**
+ * Rational functions in one variable over exact Fractions
+ * Used to row-reduce matrices whose entries depend on a parameter
+ */
+
+import { Fraction } from './fractionUtils.js';
+import { Polynomial } from './polynomial.js';
+
+const ONE = new Polynomial([1]);
+
+/**
+ * Least common multiple of two polynomials (monic)
+ */
+export function polynomialLcm(a, b) {
+    if (a.isZero() || b.isZero()) return new Polynomial([]);
+    return a.multiply(b).divmod(a.gcd(b)).quotient.monic();
+}
+
+/**
+ * Quotient numerator / denominator of polynomials, kept in lowest terms
+ * with a monic denominator so equal functions have equal representations
+ */
+export class RationalFunction {
+    constructor(numerator, denominator = ONE) {
+        if (denominator.isZero()) {
+            throw new Error('Rational function with zero denominator');
+        }
+
+        if (numerator.isZero()) {
+            this.numerator = numerator;
+            this.denominator = ONE;
+            return;
+        }
+
+        const common = numerator.gcd(denominator);
+        const num = numerator.divmod(common).quotient;
+        const den = denominator.divmod(common).quotient;
+        const lead = new Fraction(1).divide(den.leading);
+        this.numerator = num.scale(lead);
+        this.denominator = den.scale(lead);
+    }
+
+    /**
+     * Wrap a Polynomial or anything Fraction.from accepts
+     */
+    static from(value) {
+        if (value instanceof RationalFunction) return value;
+        if (value instanceof Polynomial) return new RationalFunction(value);
+        return new RationalFunction(new Polynomial([Fraction.from(value)]));
+    }
+
+    add(other) {
+        return new RationalFunction(
+            this.numerator.multiply(other.denominator).add(other.numerator.multiply(this.denominator)),
+            this.denominator.multiply(other.denominator)
+        );
+    }
+
+    subtract(other) {
+        return this.add(other.negate());
+    }
+
+    multiply(other) {
+        return new RationalFunction(
+            this.numerator.multiply(other.numerator),
+            this.denominator.multiply(other.denominator)
+        );
+    }
+
+    divide(other) {
+        if (other.isZero()) {
+            throw new Error('Division by zero');
+        }
+        return new RationalFunction(
+            this.numerator.multiply(other.denominator),
+            this.denominator.multiply(other.numerator)
+        );
+    }
+
+    negate() {
+        return new RationalFunction(this.numerator.scale(new Fraction(-1)), this.denominator);
+    }
+
+    isZero() {
+        return this.numerator.isZero();
+    }
+
+    /**
+     * Check if this is a constant (no parameter left after cancelling)
+     */
+    isConstant() {
+        return this.numerator.degree <= 0 && this.denominator.degree === 0;
+    }
+
+    /**
+     * Value at x as a Fraction; throws where the denominator vanishes
+     */
+    evaluate(x) {
+        const den = this.denominator.evaluate(x);
+        if (den.isZero()) {
+            throw new Error(`Undefined at ${x.toString()}`);
+        }
+        return this.numerator.evaluate(x).divide(den);
+    }
+
+    /**
+     * Convert to LaTeX in the given variable
+     */
+    toLatex(variable = 'x') {
+        if (this.denominator.degree === 0) {
+            return this.numerator.toLatex(variable);
+        }
+        return `\\frac{${this.numerator.toLatex(variable)}}{${this.denominator.toLatex(variable)}}`;
+    }
+}
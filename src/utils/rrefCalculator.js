@@ -1,19 +1,22 @@
 /**
  * RREF (Row Reduced Echelon Form) Calculator
- * Implements Gaussian elimination with partial pivoting
+ * Implements Gaussian elimination with partial pivoting over exact BigInt fractions, real or complex
  */
 
 import { Fraction } from './fractionUtils.js';
+import { Complex, parseScalar } from './complexUtils.js';
 
 /**
  * Matrix class for exact arithmetic operations
  */
 export class Matrix {
     constructor(data) {
-        // Convert all elements to Fractions
-        this.data = data.map(row =>
-            row.map(val => Fraction.from(val))
+        // Convert all elements to Fractions, or all to Complex if any entry is complex
+        const entries = data.map(row =>
+            row.map(val => parseScalar(val))
         );
+        const complex = entries.some(row => row.some(val => val instanceof Complex));
+        this.data = complex ? entries.map(row => row.map(val => Complex.from(val))) : entries;
         this.rows = this.data.length;
         this.cols = this.data[0]?.length || 0;
     }
@@ -29,7 +32,25 @@ export class Matrix {
      * Set element at position (i, j)
      */
     set(i, j, value) {
-        this.data[i][j] = Fraction.from(value);
+        this.data[i][j] = parseScalar(value);
+    }
+
+    /**
+     * Create an n×n identity matrix
+     */
+    static identity(n) {
+        return new Matrix(
+            Array(n).fill(null).map((_, i) =>
+                Array(n).fill(null).map((_, j) => new Fraction(i === j ? 1 : 0))
+            )
+        );
+    }
+
+    /**
+     * Extract the columns [start, end) as a new matrix
+     */
+    sliceColumns(start, end = this.cols) {
+        return new Matrix(this.data.map(row => row.slice(start, end)));
     }
 
     /**
@@ -55,7 +76,7 @@ export class Matrix {
      * Multiply a row by a scalar
      */
     multiplyRow(i, scalar) {
-        const frac = Fraction.from(scalar);
+        const frac = parseScalar(scalar);
         for (let j = 0; j < this.cols; j++) {
             this.data[i][j] = this.data[i][j].multiply(frac);
         }
@@ -65,12 +86,102 @@ export class Matrix {
      * Add a multiple of one row to another: row[i] += scalar * row[j]
      */
     addRowMultiple(i, j, scalar) {
-        const frac = Fraction.from(scalar);
+        const frac = parseScalar(scalar);
         for (let k = 0; k < this.cols; k++) {
             this.data[i][k] = this.data[i][k].add(this.data[j][k].multiply(frac));
         }
     }
 
+    /**
+     * Matrix product this · other
+     */
+    multiply(other) {
+        if (this.cols !== other.rows) {
+            throw new Error(`Cannot multiply ${this.rows}×${this.cols} by ${other.rows}×${other.cols}`);
+        }
+
+        const product = Array(this.rows).fill(null).map((_, i) =>
+            Array(other.cols).fill(null).map((_, j) => {
+                let sum = new Fraction(0);
+                for (let k = 0; k < this.cols; k++) {
+                    sum = sum.add(this.data[i][k].multiply(other.data[k][j]));
+                }
+                return sum;
+            })
+        );
+
+        return new Matrix(product);
+    }
+
+    /**
+     * Matrix sum this + other
+     */
+    add(other) {
+        if (this.rows !== other.rows || this.cols !== other.cols) {
+            throw new Error(`Cannot add ${this.rows}×${this.cols} and ${other.rows}×${other.cols}`);
+        }
+        return new Matrix(this.data.map((row, i) => row.map((val, j) => val.add(other.data[i][j]))));
+    }
+
+    /**
+     * Matrix difference this − other
+     */
+    subtract(other) {
+        if (this.rows !== other.rows || this.cols !== other.cols) {
+            throw new Error(`Cannot subtract ${other.rows}×${other.cols} from ${this.rows}×${this.cols}`);
+        }
+        return new Matrix(this.data.map((row, i) => row.map((val, j) => val.subtract(other.data[i][j]))));
+    }
+
+    /**
+     * Multiply every entry by a scalar
+     */
+    scale(scalar) {
+        const frac = parseScalar(scalar);
+        return new Matrix(this.data.map(row => row.map(val => val.multiply(frac))));
+    }
+
+    /**
+     * Matrix power this^k for an integer k ≥ 0, by repeated squaring
+     */
+    power(k) {
+        if (this.rows !== this.cols) {
+            throw new Error(`Cannot raise a ${this.rows}×${this.cols} matrix to a power; it must be square`);
+        }
+        if (!Number.isInteger(k) || k < 0) {
+            throw new Error(`Matrix power needs a whole exponent of 0 or more, got ${k}`);
+        }
+
+        let result = Matrix.identity(this.rows);
+        let base = this;
+        for (let e = k; e > 0; e = Math.floor(e / 2)) {
+            if (e % 2 === 1) {
+                result = result.multiply(base);
+            }
+            if (e > 1) {
+                base = base.multiply(base);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Check if two matrices have the same shape and entries
+     */
+    equals(other) {
+        if (this.rows !== other.rows || this.cols !== other.cols) {
+            return false;
+        }
+        return this.data.every((row, i) => row.every((val, j) => val.equals(other.data[i][j])));
+    }
+
+    /**
+     * Check if any entry is a Complex number
+     */
+    isComplex() {
+        return this.data.some(row => row.some(val => val instanceof Complex));
+    }
+
     /**
      * Convert to plain JavaScript array
      */
@@ -78,6 +189,13 @@ export class Matrix {
         return this.data.map(row => row.map(f => f.toNumber()));
     }
 
+    /**
+     * Convert to nested array of exact fraction strings (e.g. "1/3")
+     */
+    toStringArray() {
+        return this.data.map(row => row.map(f => f.toString()));
+    }
+
     /**
      * Convert to nested array of fractions
      */
@@ -87,11 +205,17 @@ export class Matrix {
 
     /**
      * Convert to LaTeX format
+     * Pass augmentAt to draw a vertical divider before that column, e.g. [A | b]
      */
-    toLatex() {
+    toLatex(augmentAt = null) {
         const rows = this.data.map(row =>
             row.map(f => f.toLatex()).join(' & ')
         ).join(' \\\\ ');
+
+        if (augmentAt !== null && augmentAt > 0 && augmentAt < this.cols) {
+            const spec = 'c'.repeat(augmentAt) + '|' + 'c'.repeat(this.cols - augmentAt);
+            return `\\left[\\begin{array}{${spec}} ${rows} \\end{array}\\right]`;
+        }
         return `\\begin{bmatrix} ${rows} \\end{bmatrix}`;
     }
 
@@ -115,48 +239,220 @@ export class Matrix {
         matrix.cols = this.rows;
         return matrix;
     }
+
+    /**
+     * Get the conjugate transpose Aᴴ (the transpose for real matrices)
+     */
+    conjugateTranspose() {
+        const transposed = this.transpose();
+        transposed.data = transposed.data.map(row =>
+            row.map(val => (val instanceof Complex ? val.conjugate() : val))
+        );
+        return transposed;
+    }
+}
+
+/**
+ * Elementary matrix of a recorded row operation on matrices with `size` rows
+ * Multiplying on the left by it performs the operation
+ */
+export function elementaryMatrix(operation, size) {
+    const E = Matrix.identity(size);
+    const { params } = operation;
+
+    switch (operation.type) {
+        case 'swap':
+            E.swapRows(params.row1, params.row2);
+            break;
+        case 'scale':
+            E.set(params.row, params.row, params.scalar);
+            break;
+        case 'add':
+            E.set(params.targetRow, params.sourceRow, params.scalar);
+            break;
+        case 'combine':
+            E.set(params.targetRow, params.targetRow, params.multiplier);
+            E.set(params.targetRow, params.sourceRow, params.scalar);
+            break;
+        default:
+            throw new Error(`Unknown row operation: ${operation.type}`);
+    }
+
+    return E;
+}
+
+/**
+ * Pivoting strategies offered by computeRREF
+ * Exact arithmetic never needs large pivots for stability, so the choice
+ * only changes which rows are swapped and how the intermediate entries look
+ */
+export const PIVOT_STRATEGIES = [
+    { id: 'first-nonzero', label: 'First nonzero (textbook)', description: 'Swap only when the pivot position holds 0' },
+    { id: 'partial', label: 'Partial pivoting', description: 'Largest absolute value in the column' },
+    { id: 'nicest', label: 'Nicest pivot', description: 'Simplest fraction in the column, preferring ±1' },
+    { id: 'bareiss', label: 'Fraction-free (Bareiss)', description: 'Integer entries until the final scaling' }
+];
+
+export const DEFAULT_PIVOT_STRATEGY = 'partial';
+
+/**
+ * Size of a fraction for the "nicest" strategy: max(|numerator|, denominator)
+ * A complex number is as large as its larger part
+ */
+function fractionHeight(value) {
+    if (value instanceof Complex) {
+        const re = fractionHeight(value.re);
+        const im = fractionHeight(value.im);
+        return re > im ? re : im;
+    }
+    const numerator = value.numerator < 0n ? -value.numerator : value.numerator;
+    return numerator > value.denominator ? numerator : value.denominator;
+}
+
+/**
+ * Squared absolute value, which orders real and complex entries alike
+ */
+function magnitudeSquared(value) {
+    return value instanceof Complex ? value.normSquared() : value.multiply(value);
+}
+
+/**
+ * Row to take the pivot in column col from, at or below currentRow
+ * Returns a row holding a zero when the column has no pivot
+ */
+function choosePivotRow(m, col, currentRow, strategy) {
+    let pivotRow = currentRow;
+
+    for (let row = currentRow + 1; row < m.rows; row++) {
+        const val = m.get(row, col);
+        if (val.isZero()) continue;
+
+        const best = m.get(pivotRow, col);
+        if (best.isZero()) {
+            pivotRow = row;
+        } else if (strategy === 'partial') {
+            // Largest absolute value in column, compared exactly
+            if (magnitudeSquared(val).compare(magnitudeSquared(best)) > 0) pivotRow = row;
+        } else if (strategy === 'nicest') {
+            if (fractionHeight(val) < fractionHeight(best)) pivotRow = row;
+        }
+    }
+
+    return pivotRow;
+}
+
+/**
+ * Least common multiple of the denominators in a row
+ * Both parts of complex entries count, leaving Gaussian integers
+ */
+function rowDenominatorLcm(row) {
+    const gcd = (a, b) => (b === 0n ? a : gcd(b, a % b));
+    const denominators = row.flatMap(val =>
+        (val instanceof Complex ? [val.re.denominator, val.im.denominator] : [val.denominator])
+    );
+    return denominators.reduce((lcm, den) => lcm / gcd(lcm, den) * den, 1n);
 }
 
 /**
  * Compute RREF and pivot columns with operation tracking
- * Returns { rref: Matrix, pivots: number[], operations: Operation[] }
+ * options.pivotColumns limits pivot search to the first k columns, so that
+ * an augmented matrix such as [A | I] is reduced by the pivots of A alone
+ * options.strategy is one of PIVOT_STRATEGIES (default 'partial')
+ * options.twoPhase first runs forward elimination to an echelon form (REF),
+ * clearing only below each pivot, then a backward phase that scales the
+ * pivots to 1 and clears above them from the bottom up. Operations then carry
+ * phase 'forward' or 'backward' (null in the single pass) and ref holds the
+ * matrix between the phases.
+ * options.snapshots = false records operations without their matrixBefore
+ * and matrixAfter copies, for callers that only read the params (LU, the
+ * determinant factors)
+ * rowOrder[i] is the original row that the swaps moved into position i
+ * Returns {
+ *   rref: Matrix, ref: Matrix | null, pivots: number[], rowOrder: number[],
+ *   operations: Operation[]
+ * }
+ *
+ * Bareiss elimination first clears denominators, then replaces every other
+ * row by (p·row − a·pivotRow) / d with p the new pivot and d the previous
+ * one. The division is exact, so entries stay integers (they are minors of
+ * the matrix). These steps are recorded as 'combine' operations with params
+ * { targetRow, sourceRow, multiplier: p/d, scalar: −a/d }. Every pivot ends
+ * up equal to the last one and the pivot rows are scaled at the end. In
+ * two-phase mode only the forward phase is fraction-free, so the REF keeps
+ * integer entries.
  */
-export function computeRREF(matrix, trackOperations = false) {
+export function computeRREF(matrix, trackOperations = false, options = {}) {
     const m = matrix.clone();
+    const pivotColumns = Math.min(options.pivotColumns ?? m.cols, m.cols);
+    const strategy = options.strategy ?? DEFAULT_PIVOT_STRATEGY;
+    const fractionFree = strategy === 'bareiss';
+    const twoPhase = Boolean(options.twoPhase);
     const pivots = [];
+    const rowOrder = Array(m.rows).fill(null).map((_, i) => i);
     const operations = trackOperations ? [] : null;
+    const snapshots = trackOperations && options.snapshots !== false;
     let currentRow = 0;
+    let phase = twoPhase ? 'forward' : null;
+
+    if (!PIVOT_STRATEGIES.some(option => option.id === strategy)) {
+        throw new Error(`Unknown pivoting strategy: ${strategy}`);
+    }
 
     // Helper to record operation
     const recordOperation = (type, notation, description, params) => {
         if (!trackOperations) return;
-        operations.push({
-            type,
-            notation,
-            description,
-            params,
-            matrixBefore: m.clone(),
-        });
+        const operation = { type, notation, description, params, phase };
+        if (snapshots) {
+            operation.matrixBefore = m.clone();
+        }
+        operations.push(operation);
     };
 
     // Helper to update last operation with result
     const updateLastOperation = () => {
-        if (!trackOperations || operations.length === 0) return;
+        if (!snapshots || operations.length === 0) return;
         operations[operations.length - 1].matrixAfter = m.clone();
     };
 
-    for (let col = 0; col < m.cols && currentRow < m.rows; col++) {
-        // Find pivot (largest absolute value in column)
-        let pivotRow = currentRow;
-        let maxVal = Math.abs(m.get(currentRow, col).toNumber());
+    const scaleRow = (row, scalar, description = `Multiply row ${row + 1} by ${scalar.toLatex()}`) => {
+        recordOperation('scale', `E_{${row + 1}}(${scalar.toLatex()})`, description, {
+            row,
+            scalar
+        });
+        m.multiplyRow(row, scalar);
+        updateLastOperation();
+    };
 
-        for (let row = currentRow + 1; row < m.rows; row++) {
-            const val = Math.abs(m.get(row, col).toNumber());
-            if (val > maxVal) {
-                maxVal = val;
-                pivotRow = row;
+    const addRow = (target, source, scalar) => {
+        const notation = `E_{${target + 1}${source + 1}}(${scalar.toLatex()})`;
+        const description = `Multiply row ${source + 1} by ${scalar.toLatex()} and add to row ${target + 1}`;
+        recordOperation('add', notation, description, {
+            targetRow: target,
+            sourceRow: source,
+            scalar
+        });
+        m.addRowMultiple(target, source, scalar);
+        updateLastOperation();
+    };
+
+    // Rows cleared by the pivot in currentRow: only those below it when
+    // the backward phase is left for later
+    const rowsToClear = () => Array(m.rows).fill(null).map((_, i) => i)
+        .filter(row => (twoPhase ? row > currentRow : row !== currentRow));
+
+    // Fraction-free elimination works on integer rows
+    if (fractionFree) {
+        for (let row = 0; row < m.rows; row++) {
+            const lcm = rowDenominatorLcm(m.data[row]);
+            if (lcm !== 1n) {
+                scaleRow(row, new Fraction(lcm), `Clear denominators: multiply row ${row + 1} by ${lcm}`);
             }
         }
+    }
+    let previousPivot = new Fraction(1);
+
+    for (let col = 0; col < pivotColumns && currentRow < m.rows; col++) {
+        const pivotRow = choosePivotRow(m, col, currentRow, strategy);
 
         // Skip if column is all zeros
         if (m.get(pivotRow, col).isZero()) {
@@ -172,47 +468,100 @@ export function computeRREF(matrix, trackOperations = false) {
                 row2: pivotRow
             });
             m.swapRows(currentRow, pivotRow);
+            [rowOrder[currentRow], rowOrder[pivotRow]] = [rowOrder[pivotRow], rowOrder[currentRow]];
             updateLastOperation();
         }
 
-        // Scale pivot row to make pivot = 1
         const pivot = m.get(currentRow, col);
-        const pivotFraction = pivot instanceof Fraction ? pivot : Fraction.from(pivot);
-        const one = new Fraction(1, 1);
 
-        if (!pivotFraction.equals(one)) {
-            const scalar = one.divide(pivotFraction);
-            const notation = `E_{${currentRow + 1}}(${scalar.toLatex()})`;
-            const description = `Multiply row ${currentRow + 1} by ${scalar.toLatex()}`;
-            recordOperation('scale', notation, description, {
-                row: currentRow,
-                scalar: scalar
-            });
-            m.multiplyRow(currentRow, scalar);
-            updateLastOperation();
-        }
+        if (fractionFree) {
+            // Row i becomes (p·row i − a·pivot row) / d
+            const multiplier = pivot.divide(previousPivot);
+            for (const row of rowsToClear()) {
+                const entry = m.get(row, col);
 
-        // Eliminate all other entries in this column
-        for (let row = 0; row < m.rows; row++) {
-            if (row !== currentRow && !m.get(row, col).isZero()) {
-                const factor = m.get(row, col).negate();
-                const notation = `E_{${row + 1}${currentRow + 1}}(${factor.toLatex()})`;
-                const description = `Multiply row ${currentRow + 1} by ${factor.toLatex()} and add to row ${row + 1}`;
-                recordOperation('add', notation, description, {
+                if (entry.isZero()) {
+                    if (!multiplier.equals(new Fraction(1))) {
+                        scaleRow(row, multiplier);
+                    }
+                    continue;
+                }
+
+                const scalar = entry.negate().divide(previousPivot);
+
+                // With p = d this is an ordinary row addition
+                if (multiplier.equals(new Fraction(1))) {
+                    addRow(row, currentRow, scalar);
+                    continue;
+                }
+
+                const notation = `E_{${row + 1}${currentRow + 1}}(${scalar.toLatex()})\\,E_{${row + 1}}(${multiplier.toLatex()})`;
+                const description = `Multiply row ${row + 1} by ${multiplier.toLatex()} and add ${scalar.toLatex()} times row ${currentRow + 1}`;
+                recordOperation('combine', notation, description, {
                     targetRow: row,
                     sourceRow: currentRow,
-                    scalar: factor
+                    multiplier,
+                    scalar
                 });
-                m.addRowMultiple(row, currentRow, factor);
+                m.multiplyRow(row, multiplier);
+                m.addRowMultiple(row, currentRow, scalar);
                 updateLastOperation();
             }
+
+            previousPivot = pivot;
+            pivots.push(col);
+            currentRow++;
+            continue;
+        }
+
+        // Scale pivot row to make pivot = 1 (left to the backward phase in two-phase mode)
+        const one = new Fraction(1, 1);
+
+        if (!twoPhase && !pivot.equals(one)) {
+            scaleRow(currentRow, one.divide(pivot));
+        }
+
+        // Eliminate the other entries in this column
+        const current = m.get(currentRow, col);
+        for (const row of rowsToClear()) {
+            if (!m.get(row, col).isZero()) {
+                addRow(row, currentRow, m.get(row, col).divide(current).negate());
+            }
         }
 
         pivots.push(col);
         currentRow++;
     }
 
-    return { rref: m, pivots, operations };
+    // Backward phase: from the last pivot up, scale each pivot row and clear above it
+    const ref = twoPhase ? m.clone() : null;
+    if (twoPhase) {
+        phase = 'backward';
+        for (let row = pivots.length - 1; row >= 0; row--) {
+            const col = pivots[row];
+            const pivot = m.get(row, col);
+            if (!pivot.equals(new Fraction(1))) {
+                scaleRow(row, new Fraction(1).divide(pivot));
+            }
+            for (let above = 0; above < row; above++) {
+                if (!m.get(above, col).isZero()) {
+                    addRow(above, row, m.get(above, col).negate());
+                }
+            }
+        }
+    }
+
+    // Final scaling of the fraction-free pivot rows
+    if (fractionFree && !twoPhase) {
+        pivots.forEach((col, row) => {
+            const pivot = m.get(row, col);
+            if (!pivot.equals(new Fraction(1))) {
+                scaleRow(row, new Fraction(1).divide(pivot));
+            }
+        });
+    }
+
+    return { rref: m, ref, pivots, rowOrder, operations };
 }
 
 /**
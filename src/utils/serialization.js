@@ -0,0 +1,72 @@
+/**
+ * Serialization of computation results
+ * Fractions (BigInt), Complex numbers and Matrix objects lose their prototypes
+ * when posted to or from a Web Worker, so they are tagged here and rebuilt on
+ * the other side
+ */
+
+import { Fraction } from './fractionUtils.js';
+import { Complex } from './complexUtils.js';
+import { Matrix } from './rrefCalculator.js';
+
+/**
+ * Numerator and denominator of a Fraction as strings
+ */
+function fractionParts(f) {
+    return [f.numerator.toString(), f.denominator.toString()];
+}
+
+/**
+ * Rebuild a Fraction from fractionParts
+ */
+function fromParts([numerator, denominator]) {
+    return new Fraction(BigInt(numerator), BigInt(denominator));
+}
+
+/**
+ * Convert a value into plain data, tagging Fractions, Complex numbers and Matrices
+ * Matrix entries are [numerator, denominator] pairs, or tagged when complex
+ */
+export function serialize(value) {
+    if (value instanceof Fraction) {
+        return { $fraction: fractionParts(value) };
+    }
+    if (value instanceof Complex) {
+        return { $complex: [fractionParts(value.re), fractionParts(value.im)] };
+    }
+    if (value instanceof Matrix) {
+        return { $matrix: value.data.map(row => row.map(f => (f instanceof Complex ? serialize(f) : fractionParts(f)))) };
+    }
+    if (Array.isArray(value)) {
+        return value.map(serialize);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, val]) => [key, serialize(val)]));
+    }
+    return value;
+}
+
+/**
+ * Rebuild Fractions, Complex numbers and Matrices from serialized data
+ */
+export function revive(value) {
+    if (Array.isArray(value)) {
+        return value.map(revive);
+    }
+    if (value && typeof value === 'object') {
+        if (value.$fraction) {
+            return fromParts(value.$fraction);
+        }
+        if (value.$complex) {
+            const [re, im] = value.$complex;
+            return new Complex(fromParts(re), fromParts(im));
+        }
+        if (value.$matrix) {
+            return new Matrix(value.$matrix.map(row =>
+                row.map(entry => (Array.isArray(entry) ? fromParts(entry) : revive(entry)))
+            ));
+        }
+        return Object.fromEntries(Object.entries(value).map(([key, val]) => [key, revive(val)]));
+    }
+    return value;
+}
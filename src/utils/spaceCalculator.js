@@ -3,54 +3,41 @@
  * Computes: Column Space, Row Space, Null Space, Left Null Space
  */
 
-import { Matrix, computeRREF, getNonZeroRows } from './rrefCalculator.js';
+import { Matrix, getNonZeroRows, elementaryMatrix, DEFAULT_PIVOT_STRATEGY } from './rrefCalculator.js';
 import { Fraction } from './fractionUtils.js';
+import { MATRIX_LIMITS, DATA_FIT_LIMITS } from '../constants/index.js';
+import { vectorToLatex, matrixToLatex, formatBasis } from './formatUtils.js';
+import { solveLinearSystem } from './systemSolver.js';
+import { computeDeterminantAndInverse } from './inverseCalculator.js';
+import { computeLU } from './luDecomposition.js';
+import { computeQR, formatQR } from './qrDecomposition.js';
+import { computeSVD, formatSVD } from './svdCalculator.js';
+import { gramSchmidt, formatGramSchmidt } from './gramSchmidt.js';
+import { computeProjections } from './projectionCalculator.js';
+import { solveLeastSquares } from './leastSquares.js';
+import { Polynomial } from './polynomial.js';
+import { eliminate } from './eliminationPipeline.js';
 
 /**
  * Compute the column space (range) of a matrix
  * Returns basis vectors as columns from the original matrix
  */
 export function computeColumnSpace(matrix) {
-    const { pivots } = computeRREF(matrix);
-    const basis = [];
-
     // The pivot columns of the original matrix form a basis for the column space
-    for (const col of pivots) {
-        const vector = [];
-        for (let i = 0; i < matrix.rows; i++) {
-            vector.push(matrix.get(i, col));
-        }
-        basis.push(vector);
-    }
-
-    return basis;
+    return eliminate(matrix).columnSpace;
 }
 
 /**
  * Compute the row space of a matrix
- * Returns basis vectors as rows from the original matrix corresponding to pivot rows
+ * source 'original' returns independent rows of the original matrix,
+ * 'rref' the nonzero rows of its RREF
  */
-export function computeRowSpace(matrix) {
-    const { pivots } = computeRREF(matrix);
-    const basis = [];
-
-    // The rows of the original matrix corresponding to pivot positions form a basis for the row space
-    // We need to identify which rows contain the pivots
-    const pivotRows = new Set();
-    for (let i = 0; i < pivots.length; i++) {
-        pivotRows.add(i);
-    }
-
-    // Extract the rows from the original matrix
-    for (const row of pivotRows) {
-        const vector = [];
-        for (let j = 0; j < matrix.cols; j++) {
-            vector.push(matrix.get(row, j));
-        }
-        basis.push(vector);
+export function computeRowSpace(matrix, source = 'original') {
+    const { rowSpace } = eliminate(matrix);
+    if (!(source in rowSpace)) {
+        throw new Error(`Unknown row space basis: ${source}`);
     }
-
-    return basis;
+    return rowSpace[source].basis;
 }
 
 /**
@@ -58,97 +45,222 @@ export function computeRowSpace(matrix) {
  * Returns basis vectors such that Ax = 0
  */
 export function computeNullSpace(matrix) {
-    const { rref, pivots } = computeRREF(matrix);
-    const n = matrix.cols;
-
-    // Find free variables (non-pivot columns)
-    const freeVars = [];
-    for (let j = 0; j < n; j++) {
-        if (!pivots.includes(j)) {
-            freeVars.push(j);
-        }
-    }
-
-    // If no free variables, null space is trivial
-    if (freeVars.length === 0) {
-        return [];
-    }
+    return eliminate(matrix).nullSpace;
+}
 
-    const basis = [];
+/**
+ * Compute the left null space of a matrix
+ * Returns basis vectors such that A^T y = 0 (A^H y = 0 for complex A),
+ * read from the rows of E in EA = R
+ */
+export function computeLeftNullSpace(matrix) {
+    return eliminate(matrix).leftNullSpace;
+}
 
-    // For each free variable, create a basis vector
-    for (const freeVar of freeVars) {
-        const vector = Array(n).fill(null).map(() => new Fraction(0));
-        vector[freeVar] = new Fraction(1); // Set free variable to 1
+/**
+ * Gram–Schmidt bases for output; null for complex matrices, whose
+ * Hermitian inner product gramSchmidt does not implement
+ */
+function formatOrthogonal(basis, complex) {
+    return complex ? null : formatGramSchmidt(gramSchmidt(basis));
+}
 
-        // Solve for pivot variables
-        for (let i = pivots.length - 1; i >= 0; i--) {
-            const pivotCol = pivots[i];
-            let sum = new Fraction(0);
+/**
+ * Format one choice of row-space basis, labelled with the (1-based) original
+ * row each vector came from
+ */
+function formatRowSpaceChoice({ basis, sources }, complex) {
+    return {
+        ...formatBasis(basis, complex),
+        sources: sources.map(row => row + 1),
+        orthogonal: formatOrthogonal(basis, complex)
+    };
+}
 
-            // Sum up contributions from variables to the right
-            for (let j = pivotCol + 1; j < n; j++) {
-                sum = sum.add(rref.get(i, j).multiply(vector[j]));
-            }
+/**
+ * Operations recorded on [A | I] for the step viewer
+ * Each gains its elementary matrix Eₖ and the running product Eₖ⋯E₁, which
+ * is what the I block holds after the step. leftBlockOnly keeps only the
+ * A block in the before/after matrices.
+ */
+function stepOperations(operations, cols, leftBlockOnly) {
+    return operations.map(operation => ({
+        ...operation,
+        matrixBefore: leftBlockOnly ? operation.matrixBefore.sliceColumns(0, cols) : operation.matrixBefore,
+        matrixAfter: leftBlockOnly ? operation.matrixAfter.sliceColumns(0, cols) : operation.matrixAfter,
+        elementary: elementaryMatrix(operation, operation.matrixBefore.rows),
+        product: operation.matrixAfter.sliceColumns(cols)
+    }));
+}
 
-            vector[pivotCol] = sum.negate();
-        }
+/**
+ * Format EA = R, with a line in E above the rows that span N(Aᵀ)
+ * (the conjugates of those rows span N(Aᴴ) for complex A)
+ */
+function formatElimination(matrix, E, rref, rank) {
+    return {
+        E_latex: matrixToLatex(E.data, rank),
+        A_latex: matrix.toLatex(),
+        R_latex: rref.toLatex(),
+        verified: E.multiply(matrix).equals(rref),
+        rank,
+        rows: matrix.rows,
+        complex: matrix.isComplex()
+    };
+}
 
-        basis.push(vector);
+/**
+ * Format the solution of Ax = b for output
+ * The complete solution is x = x_p + c₁v₁ + ... + cₖvₖ with vᵢ spanning N(A)
+ */
+function formatSystem(solution, rhs, nullSpace) {
+    const { consistent, augmentedRREF, checks, failing, particular } = solution;
+    const cols = augmentedRREF.cols - 1;
+
+    let general = null;
+    if (consistent) {
+        const terms = [vectorToLatex(particular)];
+        nullSpace.forEach((vector, idx) => {
+            terms.push(`c_{${idx + 1}} ${vectorToLatex(vector)}`);
+        });
+        general = `\\mathbf{x} = ${terms.join(' + ')}`;
     }
 
-    return basis;
+    return {
+        consistent,
+        rhs: formatBasis([rhs]).basis[0],
+        rhs_latex: vectorToLatex(rhs),
+        augmented_rref_latex: augmentedRREF.toLatex(cols),
+        checks: checks.map(check => ({
+            vector_latex: vectorToLatex(check.vector),
+            product_latex: check.product.toLatex()
+        })),
+        failing: failing && {
+            index: failing.index,
+            vector_latex: vectorToLatex(failing.vector),
+            product_latex: failing.product.toLatex()
+        },
+        particular: particular && {
+            values: formatBasis([particular]).basis[0],
+            latex: vectorToLatex(particular)
+        },
+        general_latex: general
+    };
 }
 
 /**
- * Compute the left null space of a matrix
- * Returns basis vectors such that A^T y = 0
+ * Format the least-squares solution for output
+ * For data fits, x̂ holds the coefficients of y = c₀ + c₁x + ... + c_d x^d
  */
-export function computeLeftNullSpace(matrix) {
-    const transposed = matrix.transpose();
-    return computeNullSpace(transposed);
+function formatLeastSquares(leastSquares, nullSpace, fit) {
+    const {
+        normalMatrix, normalRhs, solution, unique, projection, residual,
+        residualNormSquared, transposeResidual, inLeftNullSpace
+    } = leastSquares;
+
+    let general = null;
+    if (!unique) {
+        const terms = [vectorToLatex(solution)];
+        nullSpace.forEach((vector, idx) => {
+            terms.push(`c_{${idx + 1}} ${vectorToLatex(vector)}`);
+        });
+        general = `\\hat{\\mathbf{x}} = ${terms.join(' + ')}`;
+    }
+
+    return {
+        normal_matrix_latex: normalMatrix.toLatex(),
+        normal_rhs_latex: vectorToLatex(normalRhs),
+        solution: {
+            values: formatBasis([solution]).basis[0],
+            latex: vectorToLatex(solution)
+        },
+        unique,
+        general_latex: general,
+        projection_latex: vectorToLatex(projection),
+        residual_latex: vectorToLatex(residual),
+        residual_norm_squared_latex: residualNormSquared.toLatex(),
+        transpose_residual_latex: vectorToLatex(transposeResidual),
+        in_left_null_space: inLeftNullSpace,
+        fit: fit ? {
+            degree: fit.degree,
+            latex: `y = ${new Polynomial(solution).toLatex('x')}`
+        } : null
+    };
 }
 
 /**
- * Format a vector as LaTeX
+ * Format determinant and inverse of a square matrix for output
+ * Decimal values (determinant.value, inverse.data) are left out when complex
  */
-function vectorToLatex(vector) {
-    const elements = vector.map(f => {
-        if (f instanceof Fraction) {
-            return f.toLatex();
+function formatDeterminantAndInverse(computation, trackOperations, strategy, size, complex) {
+    const { determinant, singular, inverse, steps, operations } = computation;
+
+    const formatted = {
+        determinant: {
+            latex: determinant.toLatex(),
+            singular,
+            steps: steps.map(step => ({
+                type: step.operation.type,
+                notation: step.operation.notation,
+                description: step.operation.description,
+                factor_latex: step.factor.toLatex(),
+                determinant_latex: step.determinant.toLatex()
+            }))
+        },
+        inverse: {
+            singular,
+            exact: inverse ? inverse.toStringArray() : null,
+            latex: inverse ? inverse.toLatex() : null
         }
-        const frac = Fraction.from(f);
-        return frac.toLatex();
-    }).join(' \\\\ ');
+    };
+
+    if (!complex) {
+        formatted.determinant.value = determinant.toNumber();
+        formatted.inverse.data = inverse ? inverse.toArray() : null;
+    }
+
+    if (trackOperations && operations) {
+        formatted.inverse.operations = stepOperations(operations, size, false);
+        formatted.inverse.strategy = strategy;
+    }
 
-    return `\\begin{bmatrix} ${elements} \\end{bmatrix}`;
+    return formatted;
 }
 
 /**
- * Format basis vectors for output
+ * Format PA = LU and PA = LDU for output
  */
-function formatBasis(basis) {
-    const basisValues = basis.map(vector =>
-        vector.map(f => {
-            if (f instanceof Fraction) {
-                return f.toNumber();
-            }
-            return Fraction.from(f).toNumber();
-        })
-    );
-
-    const latexVectors = basis.map(vector => vectorToLatex(vector));
-
+function formatLU(lu) {
     return {
-        basis: basisValues,
-        latex: latexVectors
+        P: lu.P.toLatex(),
+        L: lu.L.toLatex(),
+        U: lu.U.toLatex(),
+        D: lu.D.toLatex(),
+        unit_U: lu.unitU.toLatex(),
+        PA: lu.PA.toLatex(),
+        swaps: lu.swaps,
+        verified: lu.verified
     };
 }
 
 /**
  * Compute all four fundamental subspaces
+ * Square matrices also get their determinant and inverse
+ * Pass options.rhs (one entry per row) to also solve Ax = b, with a
+ * least-squares solution when it has none. options.fit = { degree } marks
+ * A as the design matrix of a polynomial fit through data points, which may
+ * have up to DATA_FIT_LIMITS.MAX_POINTS rows.
+ * options.strategy picks the pivoting strategy for the row reduction and
+ * options.twoPhase reduces to an echelon form (REF) before the RREF.
+ * options.onProgress(stage) is called as each stage starts
+ *
+ * Complex matrices (entries such as 1+2i) get the subspaces of C^m and C^n,
+ * with N(Aᴴ) as the left null space, plus the factorizations that exact
+ * elimination gives: LU, determinant and inverse. The stages that need a
+ * real inner product or floating point (Gram–Schmidt, projections, QR, SVD,
+ * least squares) are left out and result.complex is set.
  */
-export function computeAllSpaces(matrixData, trackOperations = false) {
+export function computeAllSpaces(matrixData, trackOperations = false, options = {}) {
     // Validate input
     if (!matrixData || !Array.isArray(matrixData) || matrixData.length === 0) {
         throw new Error('Matrix cannot be empty');
@@ -161,66 +273,92 @@ export function computeAllSpaces(matrixData, trackOperations = false) {
     const m = matrixData.length;
     const n = matrixData[0].length;
 
-    if (m > 5 || n > 5) {
-        throw new Error('Matrix dimensions must be ≤ 5×5');
+    const max = MATRIX_LIMITS.MAX_DIMENSION;
+    if (options.fit && m > DATA_FIT_LIMITS.MAX_POINTS) {
+        throw new Error(`Fits are limited to ${DATA_FIT_LIMITS.MAX_POINTS} data points`);
+    }
+    if ((!options.fit && m > max) || n > max) {
+        throw new Error(`Matrix dimensions must be ≤ ${max}×${max}`);
     }
 
     // Create matrix
     const matrix = new Matrix(matrixData);
+    const complex = matrix.isComplex();
+    const field = complex ? 'C' : 'R';
+    if (complex && options.rhs) {
+        throw new Error('Solving Ax = b is not supported for complex matrices');
+    }
+    const report = options.onProgress ?? (() => {});
+    report('Row reduction');
 
-    // Compute RREF and rank (with operation tracking)
-    const { rref, pivots, operations } = computeRREF(matrix, trackOperations);
-    const rank = pivots.length;
+    // One elimination of [A | I] gives the RREF, pivots and both null spaces
+    // (operations are always recorded for the LU factorization, but copies of
+    // the matrix at each step only when the steps are shown)
+    const strategy = options.strategy ?? DEFAULT_PIVOT_STRATEGY;
+    const twoPhase = Boolean(options.twoPhase);
+    const elimination = eliminate(matrix, true, { strategy, twoPhase, snapshots: trackOperations });
+    const { rref, ref, pivots, rank, operations } = elimination;
 
     // Compute all spaces
-    const columnSpace = computeColumnSpace(matrix);
-    const rowSpace = computeRowSpace(matrix);
-    const nullSpace = computeNullSpace(matrix);
-    const leftNullSpace = computeLeftNullSpace(matrix);
+    report('Subspaces');
+    const columnSpace = elimination.columnSpace;
+    const rowSpace = elimination.rowSpace.original.basis;
+    const nullSpace = elimination.nullSpace;
+    const leftNullSpace = elimination.leftNullSpace;
 
     // Format results
-    const columnSpaceFormatted = formatBasis(columnSpace);
-    const rowSpaceFormatted = formatBasis(rowSpace);
-    const nullSpaceFormatted = formatBasis(nullSpace);
-    const leftNullSpaceFormatted = formatBasis(leftNullSpace);
+    const columnSpaceFormatted = formatBasis(columnSpace, complex);
+    const rowSpaceChoices = {
+        original: formatRowSpaceChoice(elimination.rowSpace.original, complex),
+        rref: formatRowSpaceChoice(elimination.rowSpace.rref, complex)
+    };
+    const nullSpaceFormatted = formatBasis(nullSpace, complex);
+    const leftNullSpaceFormatted = formatBasis(leftNullSpace, complex);
 
     const result = {
         matrix: {
-            data: matrix.toArray(),
+            exact: matrix.toStringArray(),
             rows: m,
             cols: n,
             latex: matrix.toLatex()
         },
         rank,
+        complex,
         rref: {
-            matrix: rref.toArray(),
             latex: rref.toLatex(),
-            pivots: pivots
+            pivots: pivots,
+            strategy,
+            two_phase: twoPhase
+        },
+        ref: ref && {
+            latex: ref.toLatex()
         },
         column_space: {
-            basis: columnSpaceFormatted.basis,
-            latex: columnSpaceFormatted.latex,
+            ...columnSpaceFormatted,
             dimension: columnSpace.length,
-            description: `Subspace of R^${m}`
+            description: `Subspace of ${field}^${m}`,
+            orthogonal: formatOrthogonal(columnSpace, complex)
         },
         row_space: {
-            basis: rowSpaceFormatted.basis,
-            latex: rowSpaceFormatted.latex,
+            ...rowSpaceChoices.original,
+            source: 'original',
+            choices: rowSpaceChoices,
             dimension: rowSpace.length,
-            description: `Subspace of R^${n}`
+            description: `Subspace of ${field}^${n}`
         },
         null_space: {
-            basis: nullSpaceFormatted.basis,
-            latex: nullSpaceFormatted.latex,
+            ...nullSpaceFormatted,
             dimension: nullSpace.length,
-            description: `Subspace of R^${n}`
+            description: `Subspace of ${field}^${n}`,
+            orthogonal: formatOrthogonal(nullSpace, complex)
         },
         left_null_space: {
-            basis: leftNullSpaceFormatted.basis,
-            latex: leftNullSpaceFormatted.latex,
+            ...leftNullSpaceFormatted,
             dimension: leftNullSpace.length,
-            description: `Subspace of R^${m}`
+            description: `Subspace of ${field}^${m}`,
+            orthogonal: formatOrthogonal(leftNullSpace, complex)
         },
+        elimination: formatElimination(matrix, elimination.E, rref, rank),
         dimension_check: {
             rank_plus_nullity: `${rank} + ${n - rank} = ${n} (columns)`,
             rank_plus_left_nullity: `${rank} + ${m - rank} = ${m} (rows)`,
@@ -233,9 +371,65 @@ export function computeAllSpaces(matrixData, trackOperations = false) {
         }
     };
 
+    // Decimal values; a complex matrix has none, so only its exact strings
+    // and LaTeX are given
+    if (!complex) {
+        result.matrix.data = matrix.toArray();
+        result.rref.matrix = rref.toArray();
+        if (ref) result.ref.matrix = ref.toArray();
+    }
+
+    // Orthogonal projections onto each subspace
+    if (!complex) {
+        report('Projections');
+        result.projections = computeProjections({ columnSpace, rowSpace, nullSpace, leftNullSpace }, m, n);
+    }
+
+    // PA = LU and PA = LDU from the recorded row operations
+    report('Factorizations');
+    // Fraction-free steps are not plain Gauss–Jordan, so LU then uses textbook pivoting
+    const luOperations = strategy === 'bareiss'
+        ? eliminate(matrix, true, { strategy: 'first-nonzero', snapshots: false }).operations
+        : operations;
+    result.lu = formatLU(computeLU(matrix, luOperations));
+
+    if (!complex) {
+        // A = QR from Gram–Schmidt on the columns
+        result.qr = formatQR(computeQR(matrix));
+
+        // Floating-point SVD, checked against the exact rank and bases
+        result.svd = formatSVD(computeSVD(matrix.toArray()), {
+            rank,
+            columnSpace: columnSpaceFormatted.basis,
+            rowSpace: rowSpaceChoices.original.basis,
+            nullSpace: nullSpaceFormatted.basis,
+            leftNullSpace: leftNullSpaceFormatted.basis
+        });
+    }
+
+    // Determinant and inverse via Gauss–Jordan on [A | I]
+    if (m === n) {
+        report('Determinant & inverse');
+        const computation = computeDeterminantAndInverse(matrix, trackOperations, { strategy, twoPhase });
+        Object.assign(result, formatDeterminantAndInverse(computation, trackOperations, strategy, n, complex));
+    }
+
+    // Solve Ax = b when a right-hand side was supplied
+    if (options.rhs) {
+        const rhs = options.rhs.map(value => Fraction.from(value));
+        const solution = solveLinearSystem(matrix, rhs, leftNullSpace);
+        result.system = formatSystem(solution, rhs, nullSpace);
+
+        // Best fit when b is not in C(A), and always for data fits
+        if (!solution.consistent || options.fit) {
+            const leastSquares = solveLeastSquares(matrix, rhs, nullSpace, leftNullSpace);
+            result.least_squares = formatLeastSquares(leastSquares, nullSpace, options.fit);
+        }
+    }
+
     // Add operations if tracking was enabled
     if (trackOperations && operations) {
-        result.operations = operations;
+        result.operations = stepOperations(operations, n, true);
     }
 
     return result;
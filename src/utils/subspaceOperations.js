@@ -0,0 +1,134 @@
+/**
+ * Sum and Intersection of Subspaces
+ * Compares a subspace of one matrix with a subspace of another using the
+ * Zassenhaus algorithm, all in exact arithmetic
+ */
+
+import { Matrix, computeRREF, computeRank } from './rrefCalculator.js';
+import { Fraction } from './fractionUtils.js';
+import { eliminate } from './eliminationPipeline.js';
+import { SUBSPACES } from './basisGrader.js';
+
+/**
+ * Basis of one of the four subspaces of a matrix, keyed like SUBSPACES
+ */
+export function subspaceBasis(matrix, key) {
+    const { columnSpace, rowSpace, nullSpace, leftNullSpace } = eliminate(matrix);
+    switch (key) {
+        case 'column_space':
+            return columnSpace;
+        case 'row_space':
+            return rowSpace.rref.basis;
+        case 'null_space':
+            return nullSpace;
+        case 'left_null_space':
+            return leftNullSpace;
+        default:
+            throw new Error(`Unknown subspace: ${key}`);
+    }
+}
+
+/**
+ * Dimension of the space a subspace of the matrix lives in
+ */
+export function ambientDimension(matrix, key) {
+    const subspace = SUBSPACES.find(option => option.key === key);
+    if (!subspace) {
+        throw new Error(`Unknown subspace: ${key}`);
+    }
+    return subspace.size === 'rows' ? matrix.rows : matrix.cols;
+}
+
+/**
+ * Zassenhaus algorithm: row-reduce the block matrix
+ *
+ *   [ U  U ]
+ *   [ V  0 ]
+ *
+ * whose rows are the basis vectors u of U and v of V. Nonzero rows of the
+ * RREF with a nonzero left half give a basis of U + V; the rows whose left
+ * half vanished hold a basis of U ∩ V in their right half.
+ *
+ * U and V are bases (arrays of Fraction vectors) in the same ℝⁿ.
+ * Returns { sum: Fraction[][], intersection: Fraction[][] }
+ */
+export function zassenhaus(U, V, n) {
+    if (U.length === 0 || V.length === 0) {
+        return { sum: [...U, ...V], intersection: [] };
+    }
+
+    const block = new Matrix([
+        ...U.map(u => [...u, ...u]),
+        ...V.map(v => [...v, ...Array(n).fill(new Fraction(0))])
+    ]);
+    const { rref } = computeRREF(block);
+
+    const sum = [];
+    const intersection = [];
+    for (const row of rref.data) {
+        const left = row.slice(0, n);
+        const right = row.slice(n);
+        if (left.some(val => !val.isZero())) {
+            sum.push(left);
+        } else if (right.some(val => !val.isZero())) {
+            intersection.push(right);
+        }
+    }
+    return { sum, intersection };
+}
+
+/**
+ * Dimension of the span of a list of vectors
+ */
+function spanDimension(vectors) {
+    return vectors.length === 0 ? 0 : computeRank(new Matrix(vectors));
+}
+
+/**
+ * Check whether every vector lies in the span of basis, by rank
+ */
+function inSpan(basis, vectors) {
+    return spanDimension([...basis, ...vectors]) === spanDimension(basis);
+}
+
+/**
+ * Sum and intersection of subspace keyU of A with subspace keyV of B
+ * Both must live in the same ℝⁿ.
+ *
+ * checks verifies the result independently of the Zassenhaus reduction,
+ * by rank tests on the bases themselves:
+ *   intersection: every U ∩ V vector lies in U and in V
+ *   sum: the U + V basis spans the same space as U and V together
+ *   dimensions: dim U + dim V − dim(U + V) equals the number of U ∩ V
+ *     vectors, which are independent, so they span all of U ∩ V
+ * verified is true when all three hold.
+ */
+export function compareSubspaces(A, keyU, B, keyV) {
+    const n = ambientDimension(A, keyU);
+    const nV = ambientDimension(B, keyV);
+    if (n !== nV) {
+        throw new Error(`These subspaces live in different spaces (ℝ^${n} and ℝ^${nV}), so they cannot be combined`);
+    }
+
+    const U = subspaceBasis(A, keyU);
+    const V = subspaceBasis(B, keyV);
+    const { sum, intersection } = zassenhaus(U, V, n);
+
+    const union = spanDimension([...U, ...V]);
+    const checks = {
+        intersection: inSpan(U, intersection) && inSpan(V, intersection),
+        sum: spanDimension(sum) === sum.length && sum.length === union && inSpan([...U, ...V], sum),
+        dimensions: spanDimension(intersection) === intersection.length &&
+            spanDimension(U) + spanDimension(V) - union === intersection.length
+    };
+
+    return {
+        ambient: n,
+        U,
+        V,
+        sum,
+        intersection,
+        checks,
+        verified: checks.intersection && checks.sum && checks.dimensions
+    };
+}
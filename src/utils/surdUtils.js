@@ -0,0 +1,136 @@
+/**
+ * Surd utilities for exact square roots
+ * A surd is a rational coefficient times the square root of a square-free integer
+ */
+
+import { Fraction } from './fractionUtils.js';
+
+// Trial division bound when pulling square factors out of a radicand
+const TRIAL_DIVISION_LIMIT = 100000n;
+
+/**
+ * Integer square root of a non-negative BigInt (Newton's method)
+ */
+export function integerSqrt(n) {
+    if (n < 2n) return n;
+    let x = n;
+    let y = (x + 1n) >> 1n;
+    while (y < x) {
+        x = y;
+        y = (x + n / x) >> 1n;
+    }
+    return x;
+}
+
+/**
+ * Split a positive BigInt n into k²·r with r as square-free as trial division allows
+ * Returns { outside: k, inside: r }
+ */
+function extractSquare(n) {
+    let outside = 1n;
+    let inside = 1n;
+    let rest = n;
+
+    for (let p = 2n; p * p <= rest && p <= TRIAL_DIVISION_LIMIT; p += p === 2n ? 1n : 2n) {
+        let exponent = 0;
+        while (rest % p === 0n) {
+            rest /= p;
+            exponent++;
+        }
+        if (exponent >= 2) outside *= p ** BigInt(Math.floor(exponent / 2));
+        if (exponent % 2 === 1) inside *= p;
+    }
+
+    // What remains is 1, a prime, or has only large factors
+    const root = integerSqrt(rest);
+    if (root * root === rest) {
+        outside *= root;
+    } else {
+        inside *= rest;
+    }
+
+    return { outside, inside };
+}
+
+/**
+ * Exact value coefficient·√radicand
+ */
+export class Surd {
+    constructor(coefficient, radicand = 1n) {
+        this.coefficient = Fraction.from(coefficient);
+        this.radicand = this.coefficient.isZero() ? 1n : BigInt(radicand);
+    }
+
+    /**
+     * Square root of a non-negative Fraction a/b = √(ab) / b
+     */
+    static sqrt(value) {
+        if (value.sign() < 0) {
+            throw new Error('Cannot take the square root of a negative number');
+        }
+        if (value.isZero()) {
+            return new Surd(new Fraction(0));
+        }
+        const { outside, inside } = extractSquare(value.numerator * value.denominator);
+        return new Surd(new Fraction(outside, value.denominator), inside);
+    }
+
+    /**
+     * 1 / √value for a positive Fraction a/b, i.e. √(ab) / a
+     */
+    static inverseSqrt(value) {
+        if (value.sign() <= 0) {
+            throw new Error('Cannot take the inverse square root of a non-positive number');
+        }
+        const { outside, inside } = extractSquare(value.numerator * value.denominator);
+        return new Surd(new Fraction(outside, value.numerator), inside);
+    }
+
+    /**
+     * Multiply by a Fraction
+     */
+    scale(fraction) {
+        return new Surd(this.coefficient.multiply(fraction), this.radicand);
+    }
+
+    /**
+     * Check if the surd is zero
+     */
+    isZero() {
+        return this.coefficient.isZero();
+    }
+
+    /**
+     * Convert to decimal number
+     */
+    toNumber() {
+        return this.coefficient.toNumber() * Math.sqrt(Number(this.radicand));
+    }
+
+    /**
+     * Convert to LaTeX, e.g. \frac{1}{\sqrt{2}} or \frac{2\sqrt{3}}{5}
+     */
+    toLatex() {
+        if (this.radicand === 1n) {
+            return this.coefficient.toLatex();
+        }
+
+        const negative = this.coefficient.sign() < 0;
+        const p = negative ? -this.coefficient.numerator : this.coefficient.numerator;
+        const q = this.coefficient.denominator;
+        const root = `\\sqrt{${this.radicand}}`;
+        let body;
+
+        if (q % this.radicand === 0n) {
+            // p√r / q = p / ((q/r)·√r), which keeps the root in the denominator
+            const rest = q / this.radicand;
+            body = `\\frac{${p}}{${rest === 1n ? '' : rest}${root}}`;
+        } else if (q === 1n) {
+            body = `${p === 1n ? '' : p}${root}`;
+        } else {
+            body = `\\frac{${p === 1n ? '' : p}${root}}{${q}}`;
+        }
+
+        return negative ? `-${body}` : body;
+    }
+}
@@ -0,0 +1,202 @@
+/**
+ * Singular Value Decomposition (floating point)
+ * One-sided Jacobi rotations on the columns of A, with the singular vectors
+ * split into bases for the four fundamental subspaces
+ */
+
+import { formatApproximate } from './formatUtils.js';
+
+const MAX_SWEEPS = 60;
+const EPSILON = Number.EPSILON;
+
+// A vector is inside a subspace when its relative residual is below this
+const SPAN_TOLERANCE = 1e-8;
+
+const dot = (u, v) => u.reduce((sum, ui, i) => sum + ui * v[i], 0);
+const norm = (u) => Math.sqrt(dot(u, u));
+
+/**
+ * Extend orthonormal vectors to an orthonormal basis of ℝ^size
+ * Standard basis vectors are orthogonalized against the basis so far
+ * (twice, for stability) and kept when enough of them remains
+ */
+function completeBasis(vectors, size) {
+    const basis = [...vectors];
+    for (let i = 0; i < size && basis.length < size; i++) {
+        let candidate = Array(size).fill(0).map((_, k) => (k === i ? 1 : 0));
+        for (let pass = 0; pass < 2; pass++) {
+            for (const q of basis) {
+                const c = dot(candidate, q);
+                candidate = candidate.map((val, k) => val - c * q[k]);
+            }
+        }
+        const length = norm(candidate);
+        if (length > 1e-6) {
+            basis.push(candidate.map(val => val / length));
+        }
+    }
+    return basis;
+}
+
+/**
+ * Compute A = UΣVᵀ for a matrix of numbers
+ *
+ * Jacobi rotations make the columns of AV mutually orthogonal; their lengths
+ * are the singular values and, once normalized, the left singular vectors.
+ * Singular values at or below max(m, n)·σ₁·ε count as zero, which sets the
+ * numerical rank.
+ *
+ * Returns {
+ *   singularValues: number[],  // all min(m, n), descending
+ *   U: number[][],             // m left singular vectors (as vectors)
+ *   V: number[][],             // n right singular vectors (as vectors)
+ *   rank: number, tolerance: number
+ * }
+ */
+export function computeSVD(data) {
+    const m = data.length;
+    const n = data[0].length;
+
+    // Work column-wise: W = AV, starting from V = I
+    const W = Array(n).fill(null).map((_, j) => data.map(row => row[j]));
+    const V = Array(n).fill(null).map((_, j) => Array(n).fill(0).map((_, k) => (k === j ? 1 : 0)));
+
+    for (let sweep = 0; sweep < MAX_SWEEPS; sweep++) {
+        let rotated = false;
+
+        for (let p = 0; p < n - 1; p++) {
+            for (let q = p + 1; q < n; q++) {
+                const alpha = dot(W[p], W[p]);
+                const beta = dot(W[q], W[q]);
+                const gamma = dot(W[p], W[q]);
+                if (Math.abs(gamma) <= EPSILON * Math.sqrt(alpha * beta) || gamma === 0) continue;
+
+                rotated = true;
+                const zeta = (beta - alpha) / (2 * gamma);
+                const t = Math.sign(zeta || 1) / (Math.abs(zeta) + Math.sqrt(1 + zeta * zeta));
+                const c = 1 / Math.sqrt(1 + t * t);
+                const s = c * t;
+
+                for (const M of [W, V]) {
+                    const colP = M[p];
+                    const colQ = M[q];
+                    M[p] = colP.map((val, k) => c * val - s * colQ[k]);
+                    M[q] = colP.map((val, k) => s * val + c * colQ[k]);
+                }
+            }
+        }
+
+        if (!rotated) break;
+    }
+
+    const order = W.map((column, j) => ({ sigma: norm(column), j }))
+        .sort((a, b) => b.sigma - a.sigma);
+
+    const largest = order[0]?.sigma ?? 0;
+    const tolerance = Math.max(m, n) * largest * EPSILON;
+    const rank = order.filter(({ sigma }) => sigma > tolerance).length;
+
+    const leftVectors = order.slice(0, rank).map(({ sigma, j }) => W[j].map(val => val / sigma));
+
+    return {
+        singularValues: order.slice(0, Math.min(m, n)).map(({ sigma }) => sigma),
+        U: completeBasis(leftVectors, m),
+        V: order.map(({ j }) => V[j]),
+        rank,
+        tolerance
+    };
+}
+
+/**
+ * Largest relative distance from each vector to the span of an orthonormal set
+ */
+function spanResidual(vectors, orthonormal) {
+    return vectors.reduce((worst, vector) => {
+        let residual = [...vector];
+        for (const q of orthonormal) {
+            const c = dot(vector, q);
+            residual = residual.map((val, k) => val - c * q[k]);
+        }
+        const length = norm(vector);
+        return Math.max(worst, length === 0 ? 0 : norm(residual) / length);
+    }, 0);
+}
+
+/**
+ * Format a singular value, switching to scientific notation near zero
+ */
+function formatSingularValue(value) {
+    if (value !== 0 && Math.abs(value) < 1e-4) {
+        const [mantissa, exponent] = value.toExponential(3).split('e');
+        return `${mantissa} \\times 10^{${Number(exponent)}}`;
+    }
+    return formatApproximate(value);
+}
+
+/**
+ * LaTeX for vectors placed side by side as columns, with a divider after
+ * the first `split` columns
+ */
+function columnsToLatex(columns, split) {
+    const size = columns[0]?.length ?? 0;
+    const rows = Array(size).fill(null).map((_, i) =>
+        columns.map(column => formatApproximate(column[i])).join(' & ')
+    ).join(' \\\\ ');
+
+    if (split > 0 && split < columns.length) {
+        const spec = 'c'.repeat(split) + '|' + 'c'.repeat(columns.length - split);
+        return `\\left[\\begin{array}{${spec}} ${rows} \\end{array}\\right]`;
+    }
+    return `\\begin{bmatrix} ${rows} \\end{bmatrix}`;
+}
+
+/**
+ * Format the SVD for output and compare it with the exact subspaces
+ *
+ * exact: { rank, columnSpace, rowSpace, nullSpace, leftNullSpace } with
+ * basis vectors as numbers. Each exact basis must lie in the span of the
+ * matching group of singular vectors.
+ */
+export function formatSVD(svd, exact) {
+    const { singularValues, U, V, rank, tolerance } = svd;
+    const m = U.length;
+    const n = V.length;
+
+    // Split by the exact rank so the subspace checks line up with the cards
+    const r = exact.rank;
+    const groups = {
+        row_space: V.slice(0, r),
+        null_space: V.slice(r),
+        column_space: U.slice(0, r),
+        left_null_space: U.slice(r)
+    };
+
+    const checks = {
+        row_space: spanResidual(exact.rowSpace, groups.row_space),
+        null_space: spanResidual(exact.nullSpace, groups.null_space),
+        column_space: spanResidual(exact.columnSpace, groups.column_space),
+        left_null_space: spanResidual(exact.leftNullSpace, groups.left_null_space)
+    };
+
+    const sigma = Array(m).fill(null).map((_, i) =>
+        Array(n).fill(null).map((_, j) => (i === j ? formatSingularValue(singularValues[i]) : '0')).join(' & ')
+    ).join(' \\\\ ');
+
+    return {
+        singular_values: singularValues.map(value => ({
+            value,
+            latex: formatSingularValue(value)
+        })),
+        U: columnsToLatex(U, r),
+        Sigma: `\\begin{bmatrix} ${sigma} \\end{bmatrix}`,
+        V: columnsToLatex(V, r),
+        numerical_rank: rank,
+        exact_rank: r,
+        tolerance: tolerance.toExponential(2),
+        rank_agrees: rank === r,
+        subspaces: Object.fromEntries(Object.entries(checks).map(([key, residual]) => [
+            key,
+            { count: groups[key].length, residual, spans: residual < SPAN_TOLERANCE }
+        ]))
+    };
+}
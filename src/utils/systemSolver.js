@@ -0,0 +1,71 @@
+/**
+ * Linear System Solver
+ * Solves Ax = b exactly, using the left null space to decide consistency
+ */
+
+import { Matrix, computeRREF } from './rrefCalculator.js';
+import { Fraction } from './fractionUtils.js';
+
+/**
+ * Dot product of two vectors of Fractions
+ */
+export function dotProduct(u, v) {
+    return u.reduce((sum, ui, i) => sum.add(ui.multiply(v[i])), new Fraction(0));
+}
+
+/**
+ * Build the augmented matrix [A | b]
+ */
+export function augmentMatrix(matrix, rhs) {
+    const data = matrix.data.map((row, i) => [...row, rhs[i]]);
+    return new Matrix(data);
+}
+
+/**
+ * Solve Ax = b
+ *
+ * b is consistent exactly when it lies in C(A), i.e. when yᵀb = 0 for every
+ * vector y in the left null space N(Aᵀ). When consistent, a particular
+ * solution is read from the RREF of [A | b] with all free variables set to 0.
+ *
+ * Returns {
+ *   consistent: boolean,
+ *   augmentedRREF: Matrix,
+ *   checks: { vector, product }[]  // yᵢᵀb for each left null space basis vector
+ *   failing: { index, vector, product } | null,
+ *   particular: Fraction[] | null
+ * }
+ */
+export function solveLinearSystem(matrix, rhs, leftNullSpace) {
+    if (rhs.length !== matrix.rows) {
+        throw new Error(`Right-hand side must have ${matrix.rows} entries`);
+    }
+
+    const b = rhs.map(value => Fraction.from(value));
+
+    const checks = leftNullSpace.map(vector => ({
+        vector,
+        product: dotProduct(vector, b)
+    }));
+
+    const failingIndex = checks.findIndex(check => !check.product.isZero());
+    const consistent = failingIndex === -1;
+
+    const { rref, pivots } = computeRREF(augmentMatrix(matrix, b));
+
+    let particular = null;
+    if (consistent) {
+        particular = Array(matrix.cols).fill(null).map(() => new Fraction(0));
+        pivots.forEach((pivotCol, row) => {
+            particular[pivotCol] = rref.get(row, matrix.cols);
+        });
+    }
+
+    return {
+        consistent,
+        augmentedRREF: rref,
+        checks,
+        failing: consistent ? null : { index: failingIndex, ...checks[failingIndex] },
+        particular
+    };
+}
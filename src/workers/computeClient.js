@@ -0,0 +1,85 @@
+/**
+ * Client for the matrix computation worker
+ * One job runs at a time; starting a new job or cancelling terminates the
+ * worker running the previous one
+ */
+
+import { computeMatrix } from '../utils/matrixComputation.js';
+import { revive } from '../utils/serialization.js';
+
+/**
+ * Create a compute client
+ *
+ * compute(matrix, options, onProgress) resolves with the computeMatrix
+ * result ({ success, data } or { success: false, error }), or with
+ * { success: false, cancelled: true } when the job is cancelled.
+ */
+export function createComputeClient() {
+    let worker = null;
+    let current = null;
+    let nextId = 1;
+
+    const handleMessage = ({ data }) => {
+        if (!current || data.id !== current.id) return;
+
+        if (data.type === 'progress') {
+            current.onProgress?.(data.stage);
+        } else if (data.type === 'result') {
+            const job = current;
+            current = null;
+            job.resolve(revive(data.result));
+        }
+    };
+
+    const handleError = (event) => {
+        const job = current;
+        current = null;
+        worker?.terminate();
+        worker = null;
+        job?.resolve({ success: false, error: event.message || 'Computation failed' });
+    };
+
+    const start = () => {
+        worker = new Worker(new URL('./matrixWorker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = handleMessage;
+        worker.onerror = handleError;
+    };
+
+    /**
+     * Cancel the running job; returns true if there was one
+     */
+    const cancel = () => {
+        if (!current) return false;
+        worker?.terminate();
+        worker = null;
+        const job = current;
+        current = null;
+        job.resolve({ success: false, cancelled: true });
+        return true;
+    };
+
+    const compute = (matrix, options = {}, onProgress) => {
+        cancel();
+
+        // Environments without workers compute on the main thread
+        if (typeof Worker === 'undefined') {
+            return Promise.resolve(computeMatrix(matrix, true, { ...options, onProgress }));
+        }
+
+        if (!worker) start();
+        const id = nextId++;
+
+        return new Promise((resolve) => {
+            current = { id, resolve, onProgress };
+            worker.postMessage({ type: 'compute', id, matrix, options });
+        });
+    };
+
+    const dispose = () => {
+        cancel();
+        worker?.terminate();
+        worker = null;
+    };
+
+    return { compute, cancel, dispose };
+}
@@ -0,0 +1,26 @@
+/**
+ * Matrix computation worker
+ * Runs the exact engine off the main thread
+ *
+ * Messages in:  { type: 'compute', id, matrix, options }
+ * Messages out: { type: 'progress', id, stage }
+ *               { type: 'result', id, result }  // serialized computeMatrix output
+ *
+ * The engine is synchronous, so a running job cannot read a cancel message;
+ * the client cancels by terminating this worker and starting a fresh one.
+ */
+
+import { computeMatrix } from '../utils/matrixComputation.js';
+import { serialize } from '../utils/serialization.js';
+
+self.onmessage = (event) => {
+    const { type, id, matrix, options } = event.data;
+    if (type !== 'compute') return;
+
+    const result = computeMatrix(matrix, true, {
+        ...options,
+        onProgress: (stage) => self.postMessage({ type: 'progress', id, stage })
+    });
+
+    self.postMessage({ type: 'result', id, result: serialize(result) });
+};
@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // The computation worker is created with { type: 'module' }
+  worker: {
+    format: 'es',
+  },
 })